@@ -0,0 +1,162 @@
+/**
+ * Darth Invader - Firewall Access Control Lists
+ * Ordered allow/deny rules with per-source rate limits, evaluated by firewall nodes
+ */
+
+const ACL_ACTIONS = ['allow', 'deny'];
+const ACL_PROTOCOLS = ['tcp', 'udp', 'icmp'];
+
+// Compiled node id globs ("attacker-*"), shared by every ACL
+const globCache = new Map();
+
+// Token bucket per key (e.g. a source): `rate` tokens per second of simulated time, holding at most `burst`
+class TokenBuckets {
+  constructor(rate, burst = rate) {
+    this.rate = rate;
+    this.burst = burst;
+    this.buckets = new Map();
+  }
+
+  // Spend a token for `key` at `time`; returns false if its bucket is empty
+  take(key, time) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: this.burst, updated: time };
+      this.buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (time - bucket.updated) / 1000 * this.rate);
+    bucket.updated = time;
+    if (bucket.tokens < 1) return false;
+
+    bucket.tokens -= 1;
+    return true;
+  }
+}
+
+class FirewallACL {
+  // config: { defaultPolicy, rules: [{ action, source?, destination?, protocol?, port?, name? }], rateLimit? }
+  constructor(config = {}) {
+    this.defaultPolicy = config.defaultPolicy || 'allow';
+    this.rules = (config.rules || []).map(rule => FirewallACL.normalizeRule(rule));
+    this.rateLimit = null;
+    this.limiter = null;
+    this.setRateLimit(config.rateLimit);
+    this.defaultHits = 0;
+    this.rateLimited = 0;
+  }
+
+  static normalizeRule(rule) {
+    return {
+      name: rule.name || '',
+      action: rule.action,
+      source: rule.source === undefined ? '*' : rule.source,
+      destination: rule.destination === undefined ? '*' : rule.destination,
+      protocol: rule.protocol || '*',
+      port: rule.port === undefined ? '*' : rule.port,
+      hits: 0
+    };
+  }
+
+  // "*", a port number or a "low-high" range; returns { from, to } or null if malformed
+  static parsePort(port) {
+    if (port === '*') return { from: 0, to: 65535 };
+
+    const match = typeof port === 'number' ? [null, port, port] : /^(\d+)(?:-(\d+))?$/.exec(String(port).trim());
+    if (!match) return null;
+
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to > 65535 || from > to) return null;
+    return { from, to };
+  }
+
+  // Node patterns: "*", a node id, "@role", an id glob such as "client-*", or an array of these
+  static matchNode(pattern, node) {
+    if (Array.isArray(pattern)) return pattern.some(item => FirewallACL.matchNode(item, node));
+    if (pattern === '*') return true;
+    if (pattern.startsWith('@')) return node.type === pattern.slice(1);
+    if (!pattern.includes('*')) return node.id === pattern;
+
+    if (!globCache.has(pattern)) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      globCache.set(pattern, new RegExp(`^${source}$`));
+    }
+    return globCache.get(pattern).test(node.id);
+  }
+
+  static matches(rule, packet) {
+    const { ip, transport } = packet.headers;
+    if (rule.protocol !== '*' && rule.protocol !== ip.protocol) return false;
+
+    // ICMP carries no ports, so it only matches rules for any port
+    if (rule.port !== '*') {
+      const port = transport.destinationPort;
+      const range = FirewallACL.parsePort(rule.port);
+      if (!range || port === undefined || port < range.from || port > range.to) return false;
+    }
+
+    return FirewallACL.matchNode(rule.source, packet.origin) && FirewallACL.matchNode(rule.destination, packet.destination);
+  }
+
+  // First matching rule decides; allowed packets are then charged against their source's rate limit.
+  // Returns { action, rule, reason } where rule is null when the default policy applied.
+  evaluate(packet, time) {
+    const rule = this.rules.find(candidate => FirewallACL.matches(candidate, packet)) || null;
+    let action;
+    let reason;
+
+    if (rule) {
+      rule.hits++;
+      action = rule.action;
+      reason = rule.name || `rule ${this.rules.indexOf(rule) + 1}`;
+    } else {
+      this.defaultHits++;
+      action = this.defaultPolicy;
+      reason = 'default policy';
+    }
+
+    if (action === 'allow' && this.limiter && !this.limiter.take(packet.origin.id, time)) {
+      this.rateLimited++;
+      action = 'deny';
+      reason = 'rate limit';
+    }
+
+    return { action, rule, reason };
+  }
+
+  // Allowed packets from each source: { rate, burst? }, or null for no limit
+  setRateLimit(rateLimit) {
+    this.rateLimit = rateLimit ? { burst: rateLimit.rate, ...rateLimit } : null;
+    this.limiter = this.rateLimit ? new TokenBuckets(this.rateLimit.rate, this.rateLimit.burst) : null;
+  }
+
+  // Scenario-file form of the ACL (without counters)
+  toJSON() {
+    const config = {
+      defaultPolicy: this.defaultPolicy,
+      rules: this.rules.map(({ hits, ...rule }) => {
+        const spec = { action: rule.action };
+        if (rule.name) spec.name = rule.name;
+        ['source', 'destination', 'protocol', 'port'].forEach(key => {
+          if (rule[key] !== '*') spec[key] = rule[key];
+        });
+        return spec;
+      })
+    };
+    if (this.rateLimit) {
+      config.rateLimit = { ...this.rateLimit };
+    }
+    return config;
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ACL_ACTIONS, ACL_PROTOCOLS, TokenBuckets, FirewallACL };
+} else {
+  window.ACL_ACTIONS = ACL_ACTIONS;
+  window.ACL_PROTOCOLS = ACL_PROTOCOLS;
+  window.TokenBuckets = TokenBuckets;
+  window.FirewallACL = FirewallACL;
+}
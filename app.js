@@ -25,6 +25,9 @@ const AppState = {
   // Simulation instance
   simulation: null,
   rng: null,
+  recorder: null,
+  ids: null,
+  eventLog: null,
   
   // Animation
   animationId: null,
@@ -35,8 +38,7 @@ const AppState = {
   
   // Chart
   metricsChart: null,
-  chartData: [],
-  chartUpdateCounter: 0
+  timeline: null
 };
 
 // Theme Management
@@ -100,10 +102,18 @@ const ThemeManager = {
     const textColor = isDark ? '#f1f5f9' : '#1f2937';
     const gridColor = isDark ? 'rgba(119, 124, 124, 0.2)' : 'rgba(94, 82, 64, 0.2)';
     
-    AppState.metricsChart.options.scales.x.ticks.color = textColor;
-    AppState.metricsChart.options.scales.y.ticks.color = textColor;
-    AppState.metricsChart.options.scales.x.grid.color = gridColor;
-    AppState.metricsChart.options.scales.y.grid.color = gridColor;
+    Object.values(AppState.metricsChart.options.scales).forEach(scale => {
+      scale.ticks.color = textColor;
+      scale.grid.color = gridColor;
+      if (scale.title) scale.title.color = textColor;
+    });
+    AppState.metricsChart.options.plugins.legend.labels.color = textColor;
+    
+    // Series use node and packet colors, which differ between themes
+    AppState.metricsChart.data.datasets.forEach(dataset => {
+      dataset.borderColor = Colors.get(dataset.colorName);
+      dataset.backgroundColor = Colors.withAlpha(dataset.borderColor, 0.25);
+    });
     AppState.metricsChart.update('none');
   }
 };
@@ -118,10 +128,40 @@ const CanvasRenderer = {
     // Set canvas size
     this.resizeCanvas();
     
+    // Clicking a packet or node inspects it; clicking a link in the live simulation takes it down or brings it back up
+    AppState.canvas.addEventListener('click', (e) => this.onClick(e));
+    
+    // Hovering a host shows its ARP cache
+    AppState.canvas.addEventListener('mousemove', (e) => {
+      PacketInspector.hover(TopologyEditor.active ? null : TopologyEditor.canvasPoint(e), { x: e.clientX, y: e.clientY });
+    });
+    AppState.canvas.addEventListener('mouseleave', () => PacketInspector.hover(null));
+    
     // Initial render
     this.render();
   },
   
+  onClick(e) {
+    if (TopologyEditor.active) return;
+    
+    const point = TopologyEditor.canvasPoint(e);
+    if (PacketInspector.pick(point)) return;
+    
+    const simulation = AppState.simulation;
+    if (!simulation || ReplayController.active) return;
+    
+    for (const node of simulation.nodes) {
+      for (const targetId of node.connections) {
+        const target = simulation.findNode(targetId);
+        if (target && TopologyEditor.distanceToSegment(point, node, target) <= 6) {
+          simulation.setLinkState(node.id, target.id, !simulation.isLinkUp(node.id, target.id));
+          this.render();
+          return;
+        }
+      }
+    }
+  },
+  
   resizeCanvas() {
     // Keep fixed size for consistent simulation
     AppState.canvas.width = AppState.canvasWidth;
@@ -140,17 +180,29 @@ const CanvasRenderer = {
   render() {
     this.clear();
     
-    if (AppState.simulation) {
-      AppState.simulation.render(AppState.ctx);
+    if (TopologyEditor.active) {
+      TopologyEditor.render(AppState.ctx);
+    } else if (ReplayController.active) {
+      SceneRenderer.render(AppState.ctx, ReplayController.frame);
+      PacketInspector.drawSelection(AppState.ctx, ReplayController.frame);
+      EventLogPanel.drawHighlight(AppState.ctx, ReplayController.frame);
+    } else if (AppState.simulation) {
+      SceneRenderer.render(AppState.ctx, AppState.simulation);
+      PacketInspector.drawSelection(AppState.ctx, AppState.simulation);
+      EventLogPanel.drawHighlight(AppState.ctx, AppState.simulation);
     } else {
       // Show "Ready" message
-      const ctx = AppState.ctx;
-      ctx.fillStyle = Colors.get('text');
-      ctx.font = '24px Inter';
-      ctx.textAlign = 'center';
-      ctx.textBaseline = 'middle';
-      ctx.fillText('Press Start to Begin Simulation', AppState.canvasWidth / 2, AppState.canvasHeight / 2);
+      this.showMessage('Press Start to Begin Simulation');
     }
+  },
+  
+  showMessage(text) {
+    const ctx = AppState.ctx;
+    ctx.fillStyle = Colors.get('text');
+    ctx.font = '24px Inter';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, AppState.canvasWidth / 2, AppState.canvasHeight / 2);
   }
 };
 
@@ -161,7 +213,9 @@ const SimulationController = {
     this.loadScenario(AppState.currentScenario);
   },
   
-  loadScenario(scenarioName) {
+  // overrides: optional { defense, attack } parameters for this run only (see SimulationFactory.create)
+  loadScenario(scenarioName, overrides = null) {
+    GameMode.detach();
     AppState.currentScenario = scenarioName;
     AppState.rng.setSeed(AppState.seed);
     
@@ -170,9 +224,27 @@ const SimulationController = {
       scenarioName,
       AppState.rng,
       AppState.canvasWidth,
-      AppState.canvasHeight
+      AppState.canvasHeight,
+      overrides
     );
     
+    // Record the run for replay
+    AppState.recorder = new SimulationRecorder();
+    AppState.recorder.attach(AppState.simulation);
+    AppState.ids = new IntrusionDetector();
+    AppState.ids.attach(AppState.simulation);
+    AppState.timeline = new MetricsTimeline();
+    AppState.timeline.attach(AppState.simulation);
+    AppState.eventLog = new EventLog();
+    AppState.eventLog.attach(AppState.simulation);
+    AlertsPanel.attach(AppState.ids);
+    EventLogPanel.attach(AppState.eventLog, AppState.simulation);
+    ReplayController.reset();
+    FirewallPanel.attach(AppState.simulation);
+    DefensePanel.attach(AppState.simulation);
+    ChartManager.attach(AppState.simulation);
+    PacketInspector.close();
+    
     // Update UI
     const scenario = SCENARIOS[scenarioName];
     document.getElementById('scenarioTitle').textContent = scenario.name + ' Simulation';
@@ -195,6 +267,9 @@ const SimulationController = {
   start() {
     if (AppState.isRunning && !AppState.isPaused) return;
     
+    // Resuming always continues the live run
+    ReplayController.exit();
+    
     AppState.isRunning = true;
     AppState.isPaused = false;
     AppState.lastTime = performance.now();
@@ -240,10 +315,7 @@ const SimulationController = {
     document.getElementById('pauseBtn').disabled = true;
     document.getElementById('statusIndicator').className = 'status-indicator stopped';
     document.getElementById('statusText').textContent = 'Ready';
-    
-    // Reset chart
-    AppState.chartData = [];
-    this.updateChart();
+
   },
   
   animate() {
@@ -263,27 +335,26 @@ const SimulationController = {
     
     // Update metrics display
     this.updateMetricsDisplay();
+    ReplayController.updateTimeLabel();
+    PacketInspector.refresh();
     
     // Update performance counter
     AppState.perfMonitor.update();
     const fps = AppState.perfMonitor.getFPS();
     document.getElementById('fpsCounter').textContent = `${fps} FPS`;
     
-    // Update chart periodically
-    AppState.chartUpdateCounter++;
-    if (AppState.chartUpdateCounter >= 60) { // Update every second at 60fps
-      AppState.chartUpdateCounter = 0;
-      this.updateChart();
-    }
+    // Plot the samples taken since the last frame
+    ChartManager.refresh();
     
     // Continue animation
     AppState.animationId = requestAnimationFrame(() => this.animate());
   },
   
-  updateMetricsDisplay() {
-    if (!AppState.simulation) return;
-    
-    const metrics = AppState.simulation.getMetrics();
+  updateMetricsDisplay(metrics) {
+    if (!metrics) {
+      if (!AppState.simulation) return;
+      metrics = AppState.simulation.getMetrics();
+    }
     
     // Update metric cards
     document.getElementById('metricPacketsSent').textContent = metrics.packetsSent.toLocaleString();
@@ -306,29 +377,11 @@ const SimulationController = {
     
     // Update latency
     document.getElementById('latencyValue').textContent = `${metrics.latency} ms`;
-  },
-  
-  updateChart() {
-    if (!AppState.simulation || !AppState.metricsChart) return;
-    
-    const metrics = AppState.simulation.getMetrics();
-    const timestamp = new Date().toLocaleTimeString();
-    
-    // Add data point
-    AppState.chartData.push({
-      time: timestamp,
-      load: metrics.serverLoad
-    });
     
-    // Keep only last 60 data points
-    if (AppState.chartData.length > 60) {
-      AppState.chartData.shift();
-    }
-    
-    // Update chart
-    AppState.metricsChart.data.labels = AppState.chartData.map(d => d.time);
-    AppState.metricsChart.data.datasets[0].data = AppState.chartData.map(d => d.load);
-    AppState.metricsChart.update('none');
+    FirewallPanel.update(metrics);
+    DefensePanel.update(metrics);
+    AlertsPanel.update();
+    EventLogPanel.update();
   },
   
   resetMetrics() {
@@ -359,8 +412,691 @@ const SimulationController = {
   }
 };
 
-// Chart Initialization
+// Replay Controller
+const ReplayController = {
+  active: false,
+  frame: null,
+  frameIndex: 0,
+  
+  init() {
+    document.getElementById('replayToggle').addEventListener('click', () => {
+      if (this.active) {
+        this.exit();
+      } else {
+        this.enter();
+      }
+    });
+    
+    document.getElementById('replayScrubber').addEventListener('input', (e) => {
+      this.seek(parseFloat(e.target.value));
+    });
+    
+    document.getElementById('replayJump').addEventListener('change', (e) => {
+      if (e.target.value) {
+        this.jumpTo(e.target.value);
+      }
+      e.target.value = '';
+    });
+  },
+  
+  enter() {
+    const recorder = AppState.recorder;
+    if (!recorder || recorder.frames.length === 0) return;
+    
+    TopologyEditor.exit();
+    if (AppState.isRunning && !AppState.isPaused) {
+      SimulationController.pause();
+    }
+    
+    this.active = true;
+    
+    const scrubber = document.getElementById('replayScrubber');
+    scrubber.min = recorder.startTime;
+    scrubber.max = recorder.endTime;
+    scrubber.disabled = false;
+    document.getElementById('replayJump').disabled = false;
+    document.getElementById('replayToggle').textContent = '▶ Live';
+    document.getElementById('statusText').textContent = 'Replay';
+    
+    this.seek(recorder.endTime);
+  },
+  
+  exit() {
+    if (!this.active) return;
+    
+    this.active = false;
+    this.frame = null;
+    
+    document.getElementById('replayScrubber').disabled = true;
+    document.getElementById('replayJump').disabled = true;
+    document.getElementById('replayToggle').textContent = '⏪ Replay';
+    document.getElementById('statusText').textContent = AppState.isRunning ? 'Paused' : 'Ready';
+    
+    this.updateTimeLabel();
+    SimulationController.updateMetricsDisplay();
+    PacketInspector.refresh();
+    CanvasRenderer.render();
+  },
+  
+  reset() {
+    this.exit();
+    this.updateTimeLabel();
+  },
+  
+  seek(time) {
+    const recorder = AppState.recorder;
+    const frame = recorder.frameAt(time);
+    if (!frame) return;
+    
+    this.showFrame(recorder.indexOfFrame(frame));
+  },
+  
+  stepFrame(direction) {
+    const frames = AppState.recorder.frames;
+    const index = MathUtils.clamp(this.frameIndex + direction, 0, frames.length - 1);
+    this.showFrame(index);
+  },
+  
+  showFrame(index) {
+    this.frameIndex = index;
+    this.frame = AppState.recorder.frames[index];
+    
+    document.getElementById('replayScrubber').value = this.frame.time;
+    this.updateTimeLabel();
+    SimulationController.updateMetricsDisplay(this.frame.metrics);
+    PacketInspector.refresh();
+    CanvasRenderer.render();
+  },
+  
+  jumpTo(target) {
+    const recorder = AppState.recorder;
+    
+    if (target === 'start') {
+      this.seek(recorder.startTime);
+      return;
+    }
+    if (target === 'end') {
+      this.seek(recorder.endTime);
+      return;
+    }
+    
+    const event = recorder.findEvent(target);
+    if (!event) {
+      document.getElementById('replayTime').textContent = `No ${target} recorded`;
+      return;
+    }
+    
+    // Show the frame just before the event so the packet involved is still on screen
+    this.seek(event.time - SIMULATION_STEP_MS);
+  },
+  
+  updateTimeLabel() {
+    const recorder = AppState.recorder;
+    const end = recorder ? recorder.endTime : 0;
+    const current = this.active ? this.frame.time : end;
+    const truncated = recorder && recorder.truncated ? ' (recording full)' : '';
+    
+    document.getElementById('replayTime').textContent =
+      `${(current / 1000).toFixed(1)}s / ${(end / 1000).toFixed(1)}s${truncated}`;
+  }
+};
+
+// Firewall Rules Panel
+// Edits the ACL of a firewall node while the simulation runs
+const FirewallPanel = {
+  node: null,
+  readOnly: false, // true for a finished challenge round, whose rules were bought
+  
+  init() {
+    document.getElementById('firewallNode').addEventListener('change', (e) => this.show(e.target.value));
+    document.getElementById('addFirewallRule').addEventListener('click', () => this.addRule());
+    
+    document.getElementById('firewallDefaultPolicy').addEventListener('change', (e) => {
+      this.node.acl.defaultPolicy = e.target.value;
+      this.save();
+    });
+    
+    document.getElementById('firewallRateLimit').addEventListener('change', (e) => {
+      const rate = parseFloat(e.target.value);
+      this.node.acl.setRateLimit(rate > 0 ? { rate } : null);
+      this.save();
+    });
+    
+    // Rule rows are rebuilt often, so listen on the container
+    const rules = document.getElementById('firewallRules');
+    rules.addEventListener('change', (e) => {
+      if (e.target.dataset.field) {
+        this.updateRule(Number(e.target.closest('.rule-row').dataset.index), e.target.dataset.field, e.target);
+      }
+    });
+    rules.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-command]');
+      if (button) {
+        this.runCommand(Number(button.closest('.rule-row').dataset.index), button.dataset.command);
+      }
+    });
+  },
+  
+  // Show the panel for the first firewall of a newly loaded simulation (hidden if it has none);
+  // a read-only panel shows the rules without letting them be changed
+  attach(simulation, { readOnly = false } = {}) {
+    const firewalls = simulation ? simulation.nodes.filter(node => node.acl) : [];
+    const panel = document.getElementById('firewallPanel');
+    panel.classList.toggle('hidden', firewalls.length === 0);
+    this.node = null;
+    this.readOnly = readOnly;
+    document.getElementById('addFirewallRule').disabled = readOnly;
+    document.getElementById('firewallDefaultPolicy').disabled = readOnly;
+    document.getElementById('firewallRateLimit').disabled = readOnly;
+    if (firewalls.length === 0) return;
+    
+    const select = document.getElementById('firewallNode');
+    select.innerHTML = '';
+    firewalls.forEach(node => select.add(new Option(node.id, node.id)));
+    select.classList.toggle('hidden', firewalls.length < 2);
+    
+    this.show(firewalls[0].id);
+  },
+  
+  show(nodeId) {
+    this.node = AppState.simulation.findNode(nodeId);
+    const acl = this.node.acl;
+    document.getElementById('firewallDefaultPolicy').value = acl.defaultPolicy;
+    document.getElementById('firewallRateLimit').value = acl.rateLimit ? acl.rateLimit.rate : '';
+    this.renderRules();
+    this.update();
+  },
+  
+  renderRules() {
+    const container = document.getElementById('firewallRules');
+    container.innerHTML = '';
+    
+    this.node.acl.rules.forEach((rule, i) => {
+      const row = document.createElement('div');
+      row.className = 'rule-row';
+      row.dataset.index = i;
+      row.title = rule.name;
+      row.innerHTML = `
+        <span class="rule-index">${i + 1}</span>
+        <select class="editor-input" data-field="action" aria-label="Action">
+          ${ACL_ACTIONS.map(action => `<option value="${action}">${action}</option>`).join('')}
+        </select>
+        <select class="editor-input" data-field="protocol" aria-label="Protocol">
+          <option value="*">any</option>
+          ${ACL_PROTOCOLS.map(protocol => `<option value="${protocol}">${protocol}</option>`).join('')}
+        </select>
+        <input type="text" class="editor-input" data-field="port" aria-label="Port" placeholder="port">
+        <span class="rule-hits" title="Packets matched by this rule">0</span>
+        <span></span>
+        <div class="rule-nodes">
+          <input type="text" class="editor-input" data-field="source" aria-label="Source" placeholder="source">
+          <span>→</span>
+          <input type="text" class="editor-input" data-field="destination" aria-label="Destination" placeholder="destination">
+        </div>
+        <div class="rule-buttons">
+          <button data-command="up" title="Move up" aria-label="Move up">↑</button>
+          <button data-command="down" title="Move down" aria-label="Move down">↓</button>
+          <button data-command="delete" title="Delete rule" aria-label="Delete rule">×</button>
+        </div>`;
+      
+      row.querySelector('[data-field="action"]').value = rule.action;
+      row.querySelector('[data-field="protocol"]').value = rule.protocol;
+      row.querySelector('[data-field="port"]').value = rule.port === '*' ? '' : rule.port;
+      row.querySelector('[data-field="source"]').value = this.formatNodes(rule.source);
+      row.querySelector('[data-field="destination"]').value = this.formatNodes(rule.destination);
+      if (this.readOnly) {
+        row.querySelectorAll('input, select, button').forEach(control => {
+          control.disabled = true;
+        });
+      }
+      container.appendChild(row);
+    });
+  },
+  
+  // Node patterns are edited as comma-separated lists; empty means "any"
+  formatNodes(pattern) {
+    if (pattern === '*') return '';
+    return Array.isArray(pattern) ? pattern.join(', ') : pattern;
+  },
+  
+  parseNodes(text) {
+    const items = text.split(',').map(item => item.trim()).filter(Boolean);
+    if (items.length === 0) return '*';
+    return items.length === 1 ? items[0] : items;
+  },
+  
+  updateRule(index, field, input) {
+    const rule = this.node.acl.rules[index];
+    
+    if (field === 'port') {
+      const port = input.value.trim() === '' ? '*' : input.value.trim();
+      const valid = FirewallACL.parsePort(port) !== null;
+      input.classList.toggle('invalid', !valid);
+      if (!valid) return;
+      rule.port = /^\d+$/.test(port) ? Number(port) : port;
+    } else if (field === 'source' || field === 'destination') {
+      rule[field] = this.parseNodes(input.value);
+    } else {
+      rule[field] = input.value;
+    }
+    this.save();
+  },
+  
+  addRule() {
+    this.node.acl.rules.push(FirewallACL.normalizeRule({ action: 'deny' }));
+    this.renderRules();
+    this.save();
+  },
+  
+  runCommand(index, command) {
+    const rules = this.node.acl.rules;
+    const target = command === 'up' ? index - 1 : index + 1;
+    
+    if (command === 'delete') {
+      rules.splice(index, 1);
+    } else if (target >= 0 && target < rules.length) {
+      [rules[index], rules[target]] = [rules[target], rules[index]];
+    } else {
+      return;
+    }
+    this.renderRules();
+    this.save();
+  },
+  
+  // Keep edits in the scenario definition so they survive a reset and are exported with the session
+  save() {
+    if (this.readOnly) return;
+    const spec = AppState.simulation.scenario.nodes.find(node => node.id === this.node.id);
+    if (spec) {
+      spec.firewall = this.node.acl.toJSON();
+    }
+    this.update();
+  },
+  
+  update(metrics) {
+    if (!this.node) return;
+    if (!metrics) {
+      metrics = AppState.simulation.getMetrics();
+    }
+    
+    const acl = this.node.acl;
+    document.querySelectorAll('#firewallRules .rule-hits').forEach((hits, i) => {
+      hits.textContent = acl.rules[i].hits.toLocaleString();
+    });
+    document.getElementById('firewallDefaultHits').textContent = acl.defaultHits.toLocaleString();
+    document.getElementById('firewallRateLimited').textContent = acl.rateLimited.toLocaleString();
+    document.getElementById('firewallFalsePositives').textContent = (metrics.falsePositives || 0).toLocaleString();
+    document.getElementById('firewallFalseNegatives').textContent = (metrics.falseNegatives || 0).toLocaleString();
+  }
+};
+
+// Scenario Controls Panel
+// Adjusts the attack and defense parameters a scenario exposes, next to its engine-specific metrics
+const DefensePanel = {
+  simulation: null,
+  shownState: null, // last rendered engine state, to skip redundant redraws
+  
+  init() {
+    document.getElementById('defenseControls').addEventListener('change', (e) => {
+      if (e.target.dataset.control) {
+        this.setValue(Number(e.target.dataset.control), e.target);
+      }
+    });
+  },
+  
+  // Build the controls of a newly loaded simulation (hidden if it has neither controls nor extra metrics)
+  attach(simulation) {
+    this.simulation = simulation;
+    this.shownState = null;
+    const controls = simulation ? simulation.scenario.controls : [];
+    const labels = simulation ? Object.entries(simulation.metricLabels) : [];
+    document.getElementById('defensePanel').classList.toggle('hidden', controls.length === 0 && labels.length === 0);
+    
+    const container = document.getElementById('defenseControls');
+    container.innerHTML = '';
+    controls.forEach((control, i) => {
+      const value = simulation.scenario[control.section][control.key];
+      const label = document.createElement('label');
+      const input = document.createElement(control.type === 'select' ? 'select' : 'input');
+      input.dataset.control = i;
+      
+      if (control.type === 'toggle') {
+        input.type = 'checkbox';
+        input.checked = value;
+      } else if (control.type === 'select') {
+        input.className = 'editor-input';
+        control.options.forEach(option => input.add(new Option(option, option)));
+        input.value = value;
+      } else {
+        input.type = 'number';
+        input.className = 'editor-input editor-input-number';
+        ['min', 'max', 'step'].forEach(key => {
+          if (control[key] !== undefined) input[key] = control[key];
+        });
+        input.value = value;
+      }
+      
+      label.append(control.label, input);
+      container.appendChild(label);
+    });
+    
+    const list = document.getElementById('defenseMetrics');
+    list.innerHTML = '';
+    labels.forEach(([key, text]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = text;
+      const dd = document.createElement('dd');
+      dd.dataset.metric = key;
+      list.append(dt, dd);
+    });
+    this.update();
+  },
+  
+  // Changes go into the scenario definition, so they survive a reset and are exported with the session
+  setValue(index, input) {
+    const control = this.simulation.scenario.controls[index];
+    let value;
+    
+    if (control.type === 'toggle') {
+      value = input.checked;
+    } else if (control.type === 'select') {
+      value = input.value;
+    } else {
+      value = parseFloat(input.value);
+      const valid = Number.isFinite(value) &&
+        !(control.min !== undefined && value < control.min) &&
+        !(control.max !== undefined && value > control.max);
+      input.classList.toggle('invalid', !valid);
+      if (!valid) return;
+    }
+    
+    this.simulation.scenario[control.section][control.key] = value;
+  },
+  
+  update(metrics) {
+    if (!this.simulation) return;
+    if (!metrics) {
+      metrics = this.simulation.getMetrics();
+    }
+    
+    document.querySelectorAll('#defenseMetrics dd').forEach(dd => {
+      dd.textContent = (metrics[dd.dataset.metric] || 0).toLocaleString();
+    });
+    
+    // Engine state is only known for the live run, so it is hidden while replaying
+    const state = ReplayController.active ? null : this.simulation.describeState();
+    document.getElementById('defenseState').classList.toggle('hidden', !state);
+    if (!state) return;
+    
+    const summary = JSON.stringify(state);
+    if (summary === this.shownState) return;
+    this.shownState = summary;
+    
+    document.getElementById('defenseStateTitle').textContent = state.title;
+    const list = document.getElementById('defenseStateRows');
+    list.innerHTML = '';
+    if (state.rows.length === 0) {
+      const dt = document.createElement('dt');
+      dt.textContent = 'empty';
+      list.appendChild(dt);
+    }
+    state.rows.forEach(([label, value, className]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      if (className) dd.className = className;
+      list.append(dt, dd);
+    });
+  }
+};
+
+// Intrusion Detection Alerts Panel
+const AlertsPanel = {
+  detector: null,
+  maxShown: 50, // newest alerts listed
+  shown: null, // summary of the rendered list, to skip redundant redraws
+  
+  attach(detector) {
+    this.detector = detector;
+    this.shown = null;
+    this.update();
+  },
+  
+  // While replaying, only alerts raised up to the frame being shown are listed
+  update() {
+    if (!this.detector) return;
+    
+    const until = ReplayController.active ? ReplayController.frame.time : Infinity;
+    const alerts = this.detector.alerts.filter(alert => alert.time <= until);
+    const summary = `${alerts.length}|${alerts.reduce((sum, alert) => sum + alert.count, 0)}`;
+    if (summary === this.shown) return;
+    this.shown = summary;
+    
+    const truePositives = alerts.filter(alert => alert.truePositive).length;
+    document.getElementById('alertsTally').textContent = `${truePositives} TP · ${alerts.length - truePositives} FP`;
+    
+    const list = document.getElementById('alertsList');
+    list.innerHTML = '';
+    if (alerts.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'empty';
+      item.textContent = 'No alerts';
+      list.appendChild(item);
+      return;
+    }
+    
+    alerts.slice(-this.maxShown).reverse().forEach(alert => {
+      const item = document.createElement('li');
+      item.title = `Packet #${alert.packetId} raised this alert`;
+      
+      const severity = document.createElement('span');
+      severity.className = `alert-severity ${alert.severity}`;
+      severity.textContent = alert.severity;
+      const name = document.createElement('span');
+      name.className = 'alert-name';
+      name.textContent = alert.name;
+      const verdict = document.createElement('span');
+      verdict.className = `alert-verdict ${alert.truePositive ? 'true-positive' : 'false-positive'}`;
+      verdict.textContent = alert.truePositive ? 'TP' : 'FP';
+      const detail = document.createElement('span');
+      detail.className = 'alert-detail';
+      detail.textContent = `${(alert.time / 1000).toFixed(1)}s · ${alert.source}${alert.count > 1 ? ` · ×${alert.count}` : ''}`;
+      
+      item.append(severity, name, verdict, detail);
+      list.appendChild(item);
+    });
+  }
+};
+
+// Event Log Panel
+// Lists the run's packet events, newest first, filtered by node, packet type, outcome and text.
+// Clicking an entry rings the nodes and packet involved on the canvas.
+const EventLogPanel = {
+  log: null,
+  maxShown: 200, // newest matching events listed
+  refreshInterval: 250, // ms between redraws while the run goes on
+  renderedAt: -Infinity,
+  shown: null, // summary of the rendered list, to skip redundant redraws
+  shownTypes: 0, // packet types offered by the type filter
+  listed: [], // entries in the list, in the order shown
+  selected: null, // entry whose nodes and packet are highlighted
+  
+  init() {
+    const outcomes = document.getElementById('eventLogOutcome');
+    outcomes.add(new Option('All outcomes', ''));
+    PACKET_EVENTS.forEach(type => outcomes.add(new Option(TRAFFIC_COUNTS[type], type)));
+    
+    ['eventLogSearch', 'eventLogNode', 'eventLogType', 'eventLogOutcome'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.update(true));
+    });
+    document.getElementById('eventLogList').addEventListener('click', (e) => {
+      const item = e.target.closest('li[data-index]');
+      if (item) {
+        this.select(this.listed[Number(item.dataset.index)]);
+      }
+    });
+    document.getElementById('eventLogExport').addEventListener('click', () => this.download());
+  },
+  
+  attach(log, simulation) {
+    this.log = log;
+    this.selected = null;
+    this.shown = null;
+    this.shownTypes = 0;
+    
+    const nodes = document.getElementById('eventLogNode');
+    nodes.innerHTML = '';
+    nodes.add(new Option('All nodes', ''));
+    simulation.nodes.forEach(node => nodes.add(new Option(node.id, node.id)));
+    this.update(true);
+  },
+  
+  // While replaying, only events up to the frame being shown are listed
+  get filters() {
+    return {
+      node: document.getElementById('eventLogNode').value,
+      packetType: document.getElementById('eventLogType').value,
+      outcome: document.getElementById('eventLogOutcome').value,
+      text: document.getElementById('eventLogSearch').value.trim(),
+      until: ReplayController.active ? ReplayController.frame.time : Infinity
+    };
+  },
+  
+  // Called every frame and after seeking a replay; `force` redraws at once (after a filter changed)
+  update(force = false) {
+    if (!this.log) return;
+    
+    const now = performance.now();
+    if (!force && !ReplayController.active && now - this.renderedAt < this.refreshInterval) return;
+    
+    const filters = this.filters;
+    const summary = JSON.stringify([this.log.entries.length, this.log.discarded, filters, this.selected && this.selected.packetId]);
+    if (!force && summary === this.shown) return;
+    this.shown = summary;
+    this.renderedAt = now;
+    
+    // Packet types are offered as the run produces them
+    if (this.log.packetTypes.size !== this.shownTypes) {
+      const types = document.getElementById('eventLogType');
+      const current = types.value;
+      types.innerHTML = '';
+      types.add(new Option('All packet types', ''));
+      this.log.packetTypes.forEach(type => types.add(new Option(type, type)));
+      types.value = current;
+      this.shownTypes = this.log.packetTypes.size;
+    }
+    
+    const matches = this.log.filter(filters);
+    const discarded = this.log.discarded > 0 ? ` · oldest ${this.log.discarded.toLocaleString()} let go` : '';
+    document.getElementById('eventLogCount').textContent =
+      `${matches.length.toLocaleString()} of ${this.log.entries.length.toLocaleString()} events${discarded}`;
+    
+    const list = document.getElementById('eventLogList');
+    list.innerHTML = '';
+    this.listed = matches.slice(-this.maxShown).reverse();
+    if (this.listed.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'empty';
+      item.textContent = this.log.entries.length === 0 ? 'No events yet' : 'No events match the filters';
+      list.appendChild(item);
+      return;
+    }
+    
+    this.listed.forEach((entry, i) => {
+      const item = document.createElement('li');
+      item.dataset.index = i;
+      item.title = `Packet #${entry.packetId} · ${entry.protocol.toUpperCase()}`;
+      if (entry === this.selected) item.className = 'selected';
+      
+      const time = document.createElement('span');
+      time.textContent = `${(entry.time / 1000).toFixed(3)}s`;
+      const type = document.createElement('span');
+      type.textContent = entry.packetType;
+      const text = document.createElement('span');
+      text.className = `outcome-${entry.type}`;
+      text.textContent = EventLog.describe(entry);
+      
+      item.append(time, type, text);
+      list.appendChild(item);
+    });
+  },
+  
+  // Highlight an entry (or clear it when clicked again); a replay moves to just before the event so
+  // the packet is still on screen
+  select(entry) {
+    this.selected = entry === this.selected ? null : entry;
+    if (this.selected && ReplayController.active) {
+      ReplayController.seek(Math.max(AppState.recorder.startTime, entry.time - SIMULATION_STEP_MS));
+    }
+    this.update(true);
+    CanvasRenderer.render();
+  },
+  
+  // Rings around the selected event's nodes and, while it is on the wire, its packet
+  drawHighlight(ctx, scene) {
+    const entry = this.selected;
+    if (!entry || !scene) return;
+    
+    const ids = new Set([entry.source, entry.target, entry.node]);
+    const packet = scene.packets.find(p => p.id === entry.packetId && p.active);
+    const items = scene.nodes.filter(node => ids.has(node.id)).map(node => ({ x: node.x, y: node.y, radius: node.radius + 8 }));
+    if (packet) {
+      items.push({ x: packet.x, y: packet.y, radius: 10 });
+    }
+    
+    ctx.strokeStyle = Colors.get('packetExposed');
+    ctx.lineWidth = 3;
+    items.forEach(item => {
+      ctx.beginPath();
+      ctx.arc(item.x, item.y, item.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+  },
+  
+  download() {
+    if (!this.log) return;
+    
+    const { until, ...filters } = this.filters;
+    const blob = new Blob([EventLog.toJSONLines(this.log.filter(filters))], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `darth-invader-events-${AppState.currentScenario}-${AppState.seed}.jsonl`;
+    a.click();
+    
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Metrics Chart
+// Plots any mix of the run's timeline series on simulated time, separately or stacked. The wheel zooms,
+// dragging pans and a double-click (or Fit) shows the whole run again.
 const ChartManager = {
+  selected: [], // ids of the plotted series
+  plotted: [], // catalog entries of the chart's datasets, in the same order
+  stacked: false,
+  view: null, // { min, max } simulated seconds shown, or null for the whole run
+  shownSamples: -1, // timeline samples already plotted
+  shownCatalog: '', // series ids the menu was built for
+  drag: null,
+  minView: 5, // s
+  
+  // Value axes by unit; every series is plotted on the axis of its unit
+  axes: {
+    percent: { title: '%', position: 'left', min: 0, max: 100 },
+    rate: { title: 'packets/s', position: 'left' },
+    latency: { title: 'ms', position: 'right' },
+    count: { title: 'count', position: 'right' }
+  },
+  
+  // Colors (Colors names) for series without a color of their own
+  palette: ['server', 'client', 'attacker', 'firewall', 'switch', 'loadbalancer', 'packetExposed', 'packetNormal'],
+  
+  // Packet counters are plotted as rates instead
+  countedMetrics: ['packetsSent', 'packetsReceived', 'packetsDropped', 'packetsBlocked', 'serverLoad'],
+  
   init() {
     const canvas = document.getElementById('metricsChart');
     const ctx = canvas.getContext('2d');
@@ -368,23 +1104,55 @@ const ChartManager = {
     const isDark = AppState.theme === 'dark';
     const textColor = isDark ? '#f1f5f9' : '#1f2937';
     const gridColor = isDark ? 'rgba(119, 124, 124, 0.2)' : 'rgba(94, 82, 64, 0.2)';
-    const lineColor = isDark ? '#22d3ee' : '#3b82f6';
+    const font = { size: 10 };
+    
+    const scales = {
+      x: {
+        type: 'linear',
+        display: true,
+        min: 0,
+        grid: {
+          color: gridColor,
+          drawBorder: false
+        },
+        ticks: {
+          color: textColor,
+          maxRotation: 0,
+          autoSkipPadding: 20,
+          callback: (value) => `${value}s`,
+          font
+        }
+      }
+    };
+    Object.entries(this.axes).forEach(([id, axis]) => {
+      scales[id] = {
+        display: false,
+        position: axis.position,
+        min: axis.min,
+        max: axis.max,
+        beginAtZero: true,
+        grid: {
+          color: gridColor,
+          drawBorder: false,
+          drawOnChartArea: axis.position === 'left'
+        },
+        title: {
+          display: true,
+          text: axis.title,
+          color: textColor,
+          font
+        },
+        ticks: {
+          color: textColor,
+          font
+        }
+      };
+    });
     
     AppState.metricsChart = new Chart(ctx, {
       type: 'line',
       data: {
-        labels: [],
-        datasets: [{
-          label: 'Server Load %',
-          data: [],
-          borderColor: lineColor,
-          backgroundColor: Colors.withAlpha(lineColor, 0.1),
-          borderWidth: 2,
-          fill: true,
-          tension: 0.4,
-          pointRadius: 0,
-          pointHitRadius: 10
-        }]
+        datasets: []
       },
       options: {
         responsive: true,
@@ -396,7 +1164,12 @@ const ChartManager = {
         },
         plugins: {
           legend: {
-            display: false
+            display: true,
+            labels: {
+              color: textColor,
+              boxWidth: 12,
+              font
+            }
           },
           tooltip: {
             enabled: true,
@@ -404,44 +1177,249 @@ const ChartManager = {
             titleColor: textColor,
             bodyColor: textColor,
             borderColor: gridColor,
-            borderWidth: 1
-          }
-        },
-        scales: {
-          x: {
-            display: true,
-            grid: {
-              color: gridColor,
-              drawBorder: false
-            },
-            ticks: {
-              color: textColor,
-              maxRotation: 0,
-              autoSkipPadding: 20,
-              font: {
-                size: 10
-              }
-            }
-          },
-          y: {
-            display: true,
-            min: 0,
-            max: 100,
-            grid: {
-              color: gridColor,
-              drawBorder: false
-            },
-            ticks: {
-              color: textColor,
-              callback: (value) => value + '%',
-              font: {
-                size: 10
-              }
+            borderWidth: 1,
+            callbacks: {
+              title: (items) => (items.length > 0 ? `${items[0].parsed.x}s` : '')
             }
           }
-        }
+        },
+        scales
+      }
+    });
+    
+    canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+    canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+    window.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    window.addEventListener('mouseup', () => {
+      this.drag = null;
+    });
+    canvas.addEventListener('dblclick', () => this.setView(null));
+    document.getElementById('chartFit').addEventListener('click', () => this.setView(null));
+    
+    document.getElementById('chartStacked').addEventListener('change', (e) => {
+      this.stacked = e.target.checked;
+      this.rebuild();
+    });
+    document.getElementById('chartSeriesToggle').addEventListener('click', () => {
+      document.getElementById('chartSeriesMenu').classList.toggle('hidden');
+    });
+    document.getElementById('chartSeriesMenu').addEventListener('change', (e) => {
+      if (e.target.dataset.series) {
+        this.toggleSeries(e.target.dataset.series, e.target.checked);
       }
     });
+    
+    // The first scenario loads before the chart exists
+    if (AppState.simulation) {
+      this.attach(AppState.simulation);
+    }
+  },
+  
+  // A newly loaded simulation starts with its server load and engine series
+  attach(simulation) {
+    this.selected = ['metric:serverLoad', ...simulation.chartSeries.map(({ key }) => `metric:${key}`)];
+    this.view = null;
+    this.shownCatalog = '';
+    this.rebuild();
+  },
+  
+  // Every series the current run can plot: [{ id, group, label, axis, color, value(sample) }]
+  catalog() {
+    const simulation = AppState.simulation;
+    const timeline = AppState.timeline;
+    if (!simulation || !timeline) return [];
+    
+    const series = [
+      { id: 'metric:serverLoad', group: 'Load', label: 'Server load', axis: 'percent', color: 'server', value: sample => sample.metrics.serverLoad }
+    ];
+    const rateColors = { sent: 'packetNormal', received: 'client', dropped: 'attacker', blocked: 'packetBlocked' };
+    TIMELINE_RATES.forEach(rate => {
+      series.push({ id: `rate:${rate}`, group: 'Packet rates', label: `${rate[0].toUpperCase()}${rate.slice(1)}`, axis: 'rate', color: rateColors[rate], value: sample => sample.rates[rate] });
+    });
+    TIMELINE_PERCENTILES.forEach((p, i) => {
+      series.push({ id: `latency:p${p}`, group: 'Latency', label: `p${p} latency`, axis: 'latency', color: ['client', 'firewall', 'attacker'][i], value: sample => (sample.latency ? sample.latency[`p${p}`] : null) });
+    });
+    
+    // Engine series keep their colors; other metrics take the palette's
+    const engineSeries = new Map(simulation.chartSeries.map(entry => [entry.key, entry]));
+    Object.keys(simulation.getMetrics()).filter(key => !this.countedMetrics.includes(key)).forEach((key, i) => {
+      const engine = engineSeries.get(key);
+      series.push({
+        id: `metric:${key}`,
+        group: 'Metrics',
+        label: engine ? engine.label : (key === 'latency' ? 'Average queueing delay' : simulation.metricLabels[key] || key),
+        axis: key === 'latency' ? 'latency' : 'count',
+        color: engine ? engine.color : this.palette[i % this.palette.length],
+        value: sample => sample.metrics[key]
+      });
+    });
+    
+    timeline.activeNodes.forEach((id, i) => {
+      series.push({ id: `node:${id}`, group: 'Per-node throughput', label: id, axis: 'rate', color: this.palette[i % this.palette.length], value: sample => sample.nodes[id] || 0 });
+    });
+    return series;
+  },
+  
+  toggleSeries(id, on) {
+    this.selected = this.selected.filter(selected => selected !== id);
+    if (on) {
+      this.selected.push(id);
+    }
+    this.rebuild();
+  },
+  
+  // Recreate the datasets for the selected series (and the series menu if new series appeared)
+  rebuild() {
+    const chart = AppState.metricsChart;
+    if (!chart) return;
+    
+    const catalog = this.catalog();
+    this.renderMenu(catalog);
+    
+    this.plotted = catalog.filter(series => this.selected.includes(series.id));
+    chart.data.datasets = this.plotted.map(series => ({
+      label: series.label,
+      colorName: series.color,
+      data: [],
+      borderColor: Colors.get(series.color),
+      backgroundColor: Colors.withAlpha(Colors.get(series.color), 0.25),
+      borderWidth: 2,
+      fill: this.stacked ? 'stack' : false,
+      tension: 0.3,
+      pointRadius: 0,
+      pointHitRadius: 10,
+      yAxisID: series.axis
+    }));
+    
+    const used = new Set(chart.data.datasets.map(dataset => dataset.yAxisID));
+    Object.keys(this.axes).forEach(axis => {
+      chart.options.scales[axis].display = used.has(axis);
+      chart.options.scales[axis].stacked = this.stacked;
+    });
+    
+    this.plot();
+  },
+  
+  renderMenu(catalog) {
+    const ids = catalog.map(series => series.id).join('|');
+    if (ids === this.shownCatalog) return;
+    this.shownCatalog = ids;
+    
+    const menu = document.getElementById('chartSeriesMenu');
+    menu.innerHTML = '';
+    let group = null;
+    catalog.forEach(series => {
+      if (series.group !== group) {
+        group = series.group;
+        const heading = document.createElement('h4');
+        heading.textContent = group;
+        menu.appendChild(heading);
+      }
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.series = series.id;
+      input.checked = this.selected.includes(series.id);
+      label.append(input, series.label);
+      menu.appendChild(label);
+    });
+  },
+  
+  // Plot the timeline's new samples; called every frame, so it returns early when there are none
+  refresh() {
+    const chart = AppState.metricsChart;
+    const timeline = AppState.timeline;
+    if (!chart || !timeline) return;
+    
+    const samples = timeline.samples;
+    if (samples.length === this.shownSamples) return;
+    
+    // New nodes or engine metrics become choosable as they show up
+    if (this.catalog().map(series => series.id).join('|') !== this.shownCatalog) {
+      this.rebuild();
+      return;
+    }
+    
+    // A view that reached the end of the run keeps following it
+    const previousEnd = this.end(this.shownSamples);
+    if (this.view && this.view.max >= previousEnd) {
+      const shift = this.end() - previousEnd;
+      this.view = { min: this.view.min + shift, max: this.view.max + shift };
+    }
+    this.plot();
+  },
+  
+  plot() {
+    const samples = AppState.timeline ? AppState.timeline.samples : [];
+    this.shownSamples = samples.length;
+    AppState.metricsChart.data.datasets.forEach((dataset, i) => {
+      dataset.data = samples.map(sample => ({ x: sample.time, y: this.plotted[i].value(sample) }));
+    });
+    this.applyView();
+  },
+  
+  // Simulated seconds covered by the first `count` samples (all by default)
+  end(count = AppState.timeline ? AppState.timeline.samples.length : 0) {
+    const samples = AppState.timeline ? AppState.timeline.samples : [];
+    const last = samples[Math.min(count, samples.length) - 1];
+    return last ? last.time : 0;
+  },
+  
+  range() {
+    return this.view ? [this.view.min, this.view.max] : [0, Math.max(this.end(), this.minView)];
+  },
+  
+  // Show [min, max] seconds, kept within the run; null (or a range covering the run) shows all of it
+  setView(view) {
+    const end = Math.max(this.end(), this.minView);
+    if (view && view.max - view.min < end) {
+      const width = Math.max(view.max - view.min, this.minView);
+      const min = MathUtils.clamp(view.min, 0, end - width);
+      this.view = { min, max: min + width };
+    } else {
+      this.view = null;
+    }
+    this.applyView();
+  },
+  
+  applyView() {
+    const chart = AppState.metricsChart;
+    const [min, max] = this.range();
+    chart.options.scales.x.min = min;
+    chart.options.scales.x.max = max;
+    chart.update('none');
+  },
+  
+  // Position of a mouse event across the plot area (0-1), or null outside the chart's layout
+  pointerRatio(e) {
+    const area = AppState.metricsChart.chartArea;
+    if (!area || area.right <= area.left) return null;
+    return MathUtils.clamp((e.offsetX - area.left) / (area.right - area.left), 0, 1);
+  },
+  
+  // Zoom around the pointer
+  onWheel(e) {
+    const ratio = this.pointerRatio(e);
+    if (ratio === null) return;
+    e.preventDefault();
+    
+    const [min, max] = this.range();
+    const anchor = min + ratio * (max - min);
+    const width = (max - min) * (e.deltaY > 0 ? 1.25 : 0.8);
+    this.setView({ min: anchor - ratio * width, max: anchor - ratio * width + width });
+  },
+  
+  onMouseDown(e) {
+    if (!this.view || this.pointerRatio(e) === null) return;
+    this.drag = { x: e.clientX, view: this.view };
+  },
+  
+  onMouseMove(e) {
+    if (!this.drag) return;
+    const area = AppState.metricsChart.chartArea;
+    const { min, max } = this.drag.view;
+    const shift = -(e.clientX - this.drag.x) / (area.right - area.left) * (max - min);
+    this.setView({ min: min + shift, max: max + shift });
   }
 };
 
@@ -454,10 +1432,17 @@ const SessionManager = {
       speed: AppState.speed,
       intensity: AppState.intensity,
       metrics: AppState.simulation ? AppState.simulation.getMetrics() : {},
-      chartData: AppState.chartData,
+      defense: AppState.simulation ? AppState.simulation.scenario.defense : {},
+      attack: AppState.simulation ? AppState.simulation.scenario.attack : {},
+      chartData: AppState.timeline ? AppState.timeline.samples : [],
       timestamp: new Date().toISOString()
     };
     
+    // Imported scenarios travel with the session so it can be restored elsewhere
+    if (!ScenarioLoader.builtIn.includes(AppState.currentScenario)) {
+      sessionData.scenarioDefinition = SCENARIOS[AppState.currentScenario];
+    }
+    
     const dataStr = JSON.stringify(sessionData, null, 2);
     const blob = new Blob([dataStr], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -470,6 +1455,21 @@ const SessionManager = {
     URL.revokeObjectURL(url);
   },
   
+  // Everything transmitted in the recorded run, for Wireshark
+  exportCapture() {
+    if (!AppState.recorder) return;
+    
+    const blob = new Blob([PcapWriter.write(AppState.recorder.events)], { type: 'application/vnd.tcpdump.pcap' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `darth-invader-${AppState.currentScenario}-${AppState.seed}.pcap`;
+    a.click();
+    
+    URL.revokeObjectURL(url);
+  },
+  
   import(file) {
     const reader = new FileReader();
     
@@ -477,8 +1477,27 @@ const SessionManager = {
       try {
         const sessionData = JSON.parse(e.target.result);
         
+        // Scenario files share the Import button with sessions
+        if (ScenarioLoader.isScenarioFile(sessionData)) {
+          this.importScenario(sessionData, file.name);
+          return;
+        }
+        
         // Restore session
         if (sessionData.scenario) {
+          if (sessionData.scenarioDefinition) {
+            const scenario = ScenarioLoader.register(ScenarioLoader.parse(sessionData.scenarioDefinition, 'session scenario'), 'session scenario');
+            UIController.addScenarioCard(scenario);
+          }
+          if (!SCENARIOS[sessionData.scenario]) {
+            throw new Error(`Unknown scenario: ${sessionData.scenario}`);
+          }
+          ['defense', 'attack'].forEach(section => {
+            if (sessionData[section]) {
+              Object.assign(SCENARIOS[sessionData.scenario][section], sessionData[section]);
+            }
+          });
+          
           AppState.seed = sessionData.seed || 12345;
           AppState.speed = sessionData.speed || 1.0;
           AppState.intensity = sessionData.intensity || 50;
@@ -493,21 +1512,153 @@ const SessionManager = {
           // Load scenario
           SimulationController.loadScenario(sessionData.scenario);
           
-          // Restore chart data if available
-          if (sessionData.chartData && sessionData.chartData.length > 0) {
-            AppState.chartData = sessionData.chartData;
-            SimulationController.updateChart();
+          // Restore chart data if available (sessions saved before the chart used simulated time have none)
+          if (Array.isArray(sessionData.chartData) && sessionData.chartData.length > 0 && typeof sessionData.chartData[0].time === 'number') {
+            AppState.timeline.samples = sessionData.chartData;
+            ChartManager.refresh();
           }
           
           alert('Session imported successfully!');
         }
       } catch (error) {
         console.error('Error importing session:', error);
-        alert('Error importing session. Please check the file format.');
+        if (error instanceof ScenarioError) {
+          alert(error.message);
+        } else {
+          alert('Error importing session. Please check the file format.');
+        }
       }
     };
     
     reader.readAsText(file);
+  },
+  
+  importScenario(data, fileName) {
+    const scenario = ScenarioLoader.register(ScenarioLoader.parse(data, fileName), fileName);
+    UIController.addScenarioCard(scenario);
+    
+    SimulationController.reset();
+    SimulationController.loadScenario(scenario.id);
+    
+    alert(`Scenario "${scenario.name}" imported successfully!`);
+  }
+};
+
+// Parameter Sweep Panel
+// Runs the current scenario over a grid of seeds, intensities and parameters in the background
+const ExperimentPanel = {
+  experiment: null,
+  
+  init() {
+    document.getElementById('experimentRun').addEventListener('click', () => {
+      if (this.experiment && !this.experiment.done) {
+        this.experiment.cancel();
+      } else {
+        this.run();
+      }
+    });
+    document.getElementById('experimentDownloads').addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-download]');
+      if (button) {
+        this.download(button.dataset.download);
+      }
+    });
+  },
+  
+  // The form's values as an experiment spec, or null (with the bad fields marked) if any is invalid
+  readSpec() {
+    const fields = {
+      seeds: document.getElementById('experimentSeeds'),
+      intensities: document.getElementById('experimentIntensities'),
+      duration: document.getElementById('experimentDuration'),
+      parameters: document.getElementById('experimentVary')
+    };
+    const spec = { scenario: AppState.currentScenario };
+    let error = null;
+    
+    Object.entries(fields).forEach(([key, input]) => {
+      let valid = true;
+      try {
+        if (key === 'duration') {
+          spec.duration = parseFloat(input.value);
+          valid = spec.duration > 0;
+        } else if (key === 'parameters') {
+          spec.parameters = Experiment.parseParameters(input.value);
+        } else {
+          spec[key] = Experiment.parseList(input.value);
+          valid = spec[key].length > 0 && spec[key].every(value => Number.isFinite(value)) &&
+            (key !== 'intensities' || spec[key].every(value => value >= 0 && value <= 100));
+        }
+      } catch (e) {
+        error = e.message;
+        valid = false;
+      }
+      input.classList.toggle('invalid', !valid);
+      if (!valid && !error) {
+        error = `Check the ${key}`;
+      }
+    });
+    
+    if (error) {
+      document.getElementById('experimentStatus').textContent = error;
+      return null;
+    }
+    return spec;
+  },
+  
+  async run() {
+    const spec = this.readSpec();
+    if (!spec) return;
+    
+    let experiment;
+    try {
+      experiment = new Experiment(spec);
+    } catch (e) {
+      document.getElementById('experimentVary').classList.add('invalid');
+      document.getElementById('experimentStatus').textContent = e.message;
+      return;
+    }
+    this.experiment = experiment;
+    
+    const status = document.getElementById('experimentStatus');
+    const bar = document.getElementById('experimentProgressBar');
+    document.getElementById('experimentProgress').classList.remove('hidden');
+    document.getElementById('experimentDownloads').classList.add('hidden');
+    document.querySelector('#experimentRun span').textContent = '⏹ Cancel';
+    
+    const started = performance.now();
+    await experiment.runAsync({
+      onProgress: () => {
+        bar.style.width = `${experiment.progress * 100}%`;
+        status.textContent = `${SCENARIOS[spec.scenario].name}: run ${Math.min(experiment.results.length + 1, experiment.runs.length)} of ${experiment.runs.length}`;
+      }
+    });
+    
+    document.querySelector('#experimentRun span').textContent = '🧪 Run sweep';
+    document.getElementById('experimentProgress').classList.add('hidden');
+    const seconds = ((performance.now() - started) / 1000).toFixed(1);
+    status.textContent = experiment.cancelled ?
+      `Cancelled after ${experiment.results.length} of ${experiment.runs.length} runs` :
+      `${experiment.runs.length} runs of ${spec.duration}s in ${seconds}s`;
+    document.getElementById('experimentDownloads').classList.toggle('hidden', experiment.results.length === 0);
+  },
+  
+  download(table) {
+    const experiment = this.experiment;
+    if (!experiment) return;
+    
+    const json = table === 'json';
+    const blob = json ?
+      new Blob([JSON.stringify(experiment.toJSON(), null, 2)], { type: 'application/json' }) :
+      new Blob([experiment.toCSV(table)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `darth-invader-sweep-${experiment.config.scenario}-${json ? 'results.json' : `${table}.csv`}`;
+    a.click();
+    
+    URL.revokeObjectURL(url);
   }
 };
 
@@ -537,18 +1688,11 @@ const UIController = {
     });
     
     // Scenario selection
-    document.querySelectorAll('.scenario-card').forEach(card => {
-      card.addEventListener('click', () => {
-        const scenario = card.dataset.scenario;
-        if (scenario !== AppState.currentScenario) {
-          SimulationController.reset();
-          SimulationController.loadScenario(scenario);
-        }
-      });
-    });
+    document.querySelectorAll('.scenario-card').forEach(card => this.bindScenarioCard(card));
     
     // Session management
     document.getElementById('exportSession').addEventListener('click', () => SessionManager.export());
+    document.getElementById('exportCapture').addEventListener('click', () => SessionManager.exportCapture());
     document.getElementById('importSession').addEventListener('click', () => {
       document.getElementById('fileInput').click();
     });
@@ -562,9 +1706,17 @@ const UIController = {
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-      if (e.target.tagName === 'INPUT') return;
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      if (TopologyEditor.active) return;
       
       switch (e.key) {
+        case 'ArrowLeft':
+        case 'ArrowRight':
+          if (ReplayController.active) {
+            e.preventDefault();
+            ReplayController.stepFrame(e.key === 'ArrowLeft' ? -1 : 1);
+          }
+          break;
         case ' ':
           e.preventDefault();
           if (AppState.isRunning && !AppState.isPaused) {
@@ -573,6 +1725,9 @@ const UIController = {
             SimulationController.start();
           }
           break;
+        case 'Escape':
+          PacketInspector.close();
+          break;
         case 'r':
         case 'R':
           e.preventDefault();
@@ -590,6 +1745,24 @@ const UIController = {
         case '4':
           SimulationController.loadScenario('arpSpoof');
           break;
+        case '5':
+          SimulationController.loadScenario('synFlood');
+          break;
+        case '6':
+          SimulationController.loadScenario('dnsPoison');
+          break;
+        case '7':
+          SimulationController.loadScenario('bruteForce');
+          break;
+        case '8':
+          SimulationController.loadScenario('worm');
+          break;
+        case '9':
+          SimulationController.loadScenario('amplification');
+          break;
+        case '0':
+          SimulationController.loadScenario('autoscaling');
+          break;
       }
     });
     
@@ -597,11 +1770,46 @@ const UIController = {
     document.getElementById('dismissDisclaimer').addEventListener('click', () => {
       document.getElementById('disclaimer').classList.add('hidden');
     });
+  },
+  
+  bindScenarioCard(card) {
+    card.addEventListener('click', () => {
+      const scenario = card.dataset.scenario;
+      TopologyEditor.exit();
+      if (scenario !== AppState.currentScenario) {
+        SimulationController.reset();
+        SimulationController.loadScenario(scenario);
+      }
+    });
+  },
+  
+  // Add a card for a scenario loaded at runtime (or refresh the existing one)
+  addScenarioCard(scenario) {
+    let card = document.querySelector(`.scenario-card[data-scenario="${scenario.id}"]`);
+    
+    if (!card) {
+      card = document.createElement('button');
+      card.className = 'scenario-card';
+      card.dataset.scenario = scenario.id;
+      card.innerHTML = `
+        <div class="scenario-icon"></div>
+        <div class="scenario-info">
+          <h3></h3>
+          <p></p>
+        </div>`;
+      document.getElementById('scenarioList').appendChild(card);
+      this.bindScenarioCard(card);
+    }
+    
+    card.querySelector('.scenario-icon').textContent = scenario.icon;
+    card.querySelector('h3').textContent = scenario.name;
+    card.querySelector('p').textContent = scenario.description;
+    return card;
   }
 };
 
 // Application Initialization
-function initApp() {
+async function initApp() {
   console.log('🚀 Darth Invader - Initializing...');
   
   // Initialize theme first (prevent FOUC)
@@ -610,6 +1818,15 @@ function initApp() {
   // Initialize canvas
   CanvasRenderer.init();
   
+  // Load the built-in scenario files
+  try {
+    await ScenarioLoader.loadBuiltIns();
+  } catch (error) {
+    console.error('Error loading scenarios:', error);
+    CanvasRenderer.showMessage('Could not load scenario files');
+    return;
+  }
+  
   // Initialize simulation
   SimulationController.init();
   
@@ -618,6 +1835,14 @@ function initApp() {
   
   // Initialize UI
   UIController.init();
+  ReplayController.init();
+  FirewallPanel.init();
+  DefensePanel.init();
+  EventLogPanel.init();
+  PacketInspector.init();
+  TopologyEditor.init();
+  GameMode.init();
+  ExperimentPanel.init();
   
   console.log('✅ Darth Invader - Ready!');
 }
@@ -3,470 +3,2440 @@
  * Contains all attack scenario logic and implementations
  */
 
-// Attack Scenario Definitions
-const SCENARIOS = {
-  ddos: {
-    name: 'DDoS Attack',
-    description: 'Distributed Denial of Service - Multiple attackers flood server',
-    attackers: 30,
-    packetsPerSecond: 100,
-    duration: 60,
-    nodeLayout: {
-      server: { x: 400, y: 300, radius: 40 },
-      attackers: 'distributed-circle'
-    }
-  },
-  mitm: {
-    name: 'Man-in-the-Middle',
-    description: 'Attacker intercepts communication between two parties',
-    attackers: 1,
-    clients: 2,
-    packetsPerSecond: 20,
-    nodeLayout: {
-      client1: { x: 200, y: 300 },
-      attacker: { x: 400, y: 300 },
-      client2: { x: 600, y: 300 }
-    }
-  },
-  firewall: {
-    name: 'Firewall Defense',
-    description: 'Firewall filters malicious traffic',
-    attackers: 10,
-    legitimateClients: 5,
-    packetsPerSecond: 50,
-    blockRate: 0.8,
-    nodeLayout: {
-      server: { x: 600, y: 300 },
-      firewall: { x: 400, y: 300 },
-      nodes: 'left-side-distributed'
-    }
-  },
-  arpSpoof: {
-    name: 'ARP Spoofing',
-    description: 'Attacker poisons ARP cache to intercept traffic',
-    nodes: 8,
-    attacker: 1,
-    packetsPerSecond: 30,
-    nodeLayout: {
-      type: 'local-network-grid'
+// The browser loads utils.js, routing.js, events.js, acl.js, queue.js and balancer.js first; in Node, pull their exports into scope
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./utils.js'), require('./routing.js'), require('./events.js'), require('./acl.js'),
+    require('./queue.js'), require('./balancer.js'));
+}
+
+// Simulated time advances in fixed steps so a run depends only on its seed, not on frame timing
+const SIMULATION_STEP_MS = 1000 / 60;
+const SIMULATION_STEP_SECONDS = SIMULATION_STEP_MS / 1000;
+
+// Upper bound on simulated time consumed per update (avoids a burst of steps after a stalled tab)
+const MAX_UPDATE_MS = 1000;
+
+// Initial IP time-to-live; each hop decrements it and packets reaching 0 are dropped (guards against routing loops)
+const DEFAULT_TTL = 64;
+
+// Payload summaries shown by the packet inspector when a traffic source does not declare one
+const PAYLOAD_SUMMARIES = {
+  tcp: { 22: 'SSH session data', 25: 'SMTP MAIL FROM', 53: 'DNS query', 80: 'HTTP GET /', 443: 'TLS application data' },
+  udp: { 53: 'DNS query', 123: 'NTP request', 161: 'SNMP get-request', 11211: 'memcached get' },
+  icmp: {}
+};
+
+// Packet events counted by the base metrics
+const METRIC_EVENTS = {
+  create: 'packetsSent',
+  deliver: 'packetsReceived',
+  drop: 'packetsDropped',
+  block: 'packetsBlocked'
+};
+
+// Registry of loaded scenario definitions, keyed by id
+// Populated by ScenarioLoader from the files in scenarios/ and from imported scenario files
+const SCENARIOS = {};
+
+// Base Attack Simulation Class
+class AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    this.scenario = scenario;
+    this.rng = rng;
+    this.canvasWidth = canvasWidth;
+    this.canvasHeight = canvasHeight;
+    this.nodes = [];
+    this.packets = [];
+    this.queues = [];
+    this.trafficCredit = [];
+    this.metrics = {
+      packetsSent: 0,
+      packetsReceived: 0,
+      packetsDropped: 0,
+      packetsBlocked: 0,
+      serverLoad: 0,
+      latency: 0
+    };
+    this.time = 0;
+    this.stepCount = 0;
+    this.timeAccumulator = 0;
+    this.scheduler = new EventScheduler();
+    this.router = new Router(this.nodes, scenario.routing);
+    this.balancers = []; // LoadBalancers of the scenario's load balancer nodes
+    this.packetIdCounter = 0;
+    
+    // Packet events go out on the bus; the recorder, IDS, timeline and UI subscribe to what they need
+    this.events = new EventBus();
+    this.counters = new TrafficCounters();
+    this.counters.attach(this.events);
+    Object.entries(METRIC_EVENTS).forEach(([type, key]) => this.events.on(type, () => this.metrics[key]++));
+    
+    // Engine-specific metrics and the labels the defense panel shows them with
+    this.metricLabels = {};
+    
+    // Engine metrics the chart plots beside the server load: [{ key, label, color }] (color is a Colors name)
+    this.chartSeries = [];
+  }
+
+  // Build the topology declared by the scenario (positions are fractions of the canvas)
+  initialize() {
+    this.scenario.nodes.forEach(spec => {
+      const node = this.addNode(spec.id, spec.role, spec.x * this.canvasWidth, spec.y * this.canvasHeight, spec.radius);
+      if (spec.ip) node.ip = spec.ip;
+      if (spec.mac) node.mac = spec.mac;
+      if (spec.routes) {
+        node.routes = { ...spec.routes };
+      }
+      if (spec.firewall) {
+        node.acl = new FirewallACL(spec.firewall);
+      }
+    });
+    
+    this.scenario.groups.forEach(group => {
+      const positions = this.layoutGroup(group.layout, group.count);
+      
+      positions.forEach((position, i) => {
+        const node = this.addNode(`${group.idPrefix}${i}`, group.role, position.x, position.y, group.radius);
+        node.connections.push(...group.linkTo);
+      });
+    });
+    
+    this.scenario.links.forEach(link => {
+      const node = this.nodes.find(n => n.id === link.from);
+      node.connections.push(link.to);
+    });
+    
+    this.router.invalidate();
+    
+    // Every host that receives traffic processes it through a queue
+    const hosts = new Set(this.scenario.traffic.flatMap(source => this.selectNodes(source.to)));
+    hosts.forEach(node => {
+      if (node.type === 'loadbalancer') return;
+      node.queue = new ServerQueue(this.scenario.load, this.rng);
+      this.queues.push(node.queue);
+    });
+    
+    // Load balancers hand their traffic to the servers linked to them, which queue it instead
+    this.nodes.filter(node => node.type === 'loadbalancer').forEach(node => {
+      const replicas = this.nodes.filter(other => other.type === 'server' &&
+        (other.connections.includes(node.id) || node.connections.includes(other.id)));
+      replicas.filter(replica => !replica.queue).forEach(replica => {
+        replica.queue = new ServerQueue(this.scenario.load, this.rng);
+        this.queues.push(replica.queue);
+      });
+      node.balancer = new LoadBalancer(replicas);
+      
+      const autoscaler = this.autoscaler;
+      if (autoscaler) {
+        node.balancer.scaleTo(autoscaler.minReplicas);
+      }
+    });
+    this.balancers = this.nodes.filter(node => node.balancer).map(node => node.balancer);
+    if (this.balancers.length > 0) {
+      Object.assign(this.metrics, { activeReplicas: 0, replicaMinutes: 0, replicaCost: 0 });
+      Object.assign(this.metricLabels, {
+        activeReplicas: 'Active replicas',
+        replicaMinutes: 'Replica-minutes billed',
+        replicaCost: 'Replica cost ($)'
+      });
+    }
+  }
+
+  addNode(id, role, x, y, radius) {
+    const node = new Node(id, role, x, y, radius);
+    const host = this.nodes.length + 1;
+    node.ip = AddressUtils.ipFromIndex(host);
+    node.mac = AddressUtils.macFromIndex(host);
+    this.nodes.push(node);
+    this.router.invalidate();
+    return node;
+  }
+
+  findNode(id) {
+    return this.nodes.find(n => n.id === id) || null;
+  }
+
+  // Take a link down (or bring it back up); packets on a failed link are lost
+  setLinkState(a, b, up) {
+    this.router.setLinkState(a, b, up);
+    
+    if (!up) {
+      this.packets.forEach(packet => {
+        if (packet.active && Router.linkKey(packet.source.id, packet.target.id) === Router.linkKey(a, b)) {
+          this.dropPacket(packet, 'link down');
+        }
+      });
+    }
+  }
+
+  isLinkUp(a, b) {
+    return this.router.isLinkUp(a, b);
+  }
+
+  get failedLinks() {
+    return this.router.failedLinks;
+  }
+
+  layoutGroup(layout, count) {
+    const positions = [];
+    const size = Math.min(this.canvasWidth, this.canvasHeight);
+    const centerX = layout.x * this.canvasWidth;
+    const centerY = layout.y * this.canvasHeight;
+    
+    switch (layout.type) {
+      case 'circle': {
+        const radius = size * layout.radius;
+        for (let i = 0; i < count; i++) {
+          const angle = (i / count) * Math.PI * 2;
+          positions.push({
+            x: centerX + Math.cos(angle) * radius,
+            y: centerY + Math.sin(angle) * radius
+          });
+        }
+        break;
+      }
+      case 'grid': {
+        // Skipped cells stay empty (e.g. to leave room for a node in the middle)
+        const skip = layout.skip || [];
+        const gridSize = Math.ceil(Math.sqrt(count + skip.length));
+        const spacing = size * layout.size / gridSize;
+        const offsetX = centerX - (spacing * gridSize) / 2;
+        const offsetY = centerY - (spacing * gridSize) / 2;
+        
+        for (let cell = 0; positions.length < count; cell++) {
+          if (skip.includes(cell)) continue;
+          const row = Math.floor(cell / gridSize);
+          const col = cell % gridSize;
+          positions.push({
+            x: offsetX + col * spacing + spacing / 2,
+            y: offsetY + row * spacing + spacing / 2
+          });
+        }
+        break;
+      }
+      case 'column': {
+        const jitter = layout.jitter || 0;
+        for (let i = 0; i < count; i++) {
+          positions.push({
+            x: centerX + (jitter > 0 ? this.rng.range(-jitter, jitter) : 0),
+            y: (layout.yStart + (layout.yEnd - layout.yStart) * (i / count)) * this.canvasHeight
+          });
+        }
+        break;
+      }
+    }
+    
+    return positions;
+  }
+
+  // Resolve a traffic selector: a node id, '@role' for every node with that role, or an array of either
+  selectNodes(selector) {
+    if (Array.isArray(selector)) {
+      return selector.flatMap(item => this.selectNodes(item));
+    }
+    if (selector.startsWith('@')) {
+      const role = selector.slice(1);
+      return this.nodes.filter(n => n.type === role);
+    }
+    return this.nodes.filter(n => n.id === selector);
+  }
+
+  update(deltaTime, speed, intensity) {
+    this.timeAccumulator = Math.min(this.timeAccumulator + deltaTime * speed, MAX_UPDATE_MS);
+    
+    while (this.timeAccumulator >= SIMULATION_STEP_MS) {
+      this.timeAccumulator -= SIMULATION_STEP_MS;
+      this.step(intensity);
+    }
+  }
+
+  step(intensity) {
+    this.stepCount++;
+    this.time = this.stepCount * SIMULATION_STEP_MS;
+    
+    // Hosts finish serving queued packets
+    this.nodes.forEach(node => {
+      if (node.queue) {
+        node.queue.process(this.time).forEach(packet => this.deliverPacket(packet));
+      }
+    });
+    
+    // Move packets; those reaching the end of a hop are queued or forwarded
+    this.packets.forEach(packet => {
+      if (!packet.update() && packet.active) {
+        this.handleArrival(packet);
+      }
+    });
+    this.packets = this.packets.filter(packet => packet.active);
+    
+    // Run delayed actions that are now due
+    this.scheduler.runDue(this.time);
+    
+    // Load balancers bill their replicas and scale the pool
+    if (this.balancers.length > 0) {
+      const autoscaler = this.autoscaler;
+      this.balancers.forEach(balancer => balancer.update(this.time, SIMULATION_STEP_MS, autoscaler));
+    }
+    
+    // Generate new packets based on scenario
+    this.generatePackets(intensity);
+    
+    // Update metrics
+    this.updateMetrics();
+    
+    this.events.emit('step', { time: this.time, simulation: this });
+  }
+
+  // Run a callback after `delay` ms of simulated time
+  schedule(delay, callback) {
+    return this.scheduler.schedule(this.time + delay, callback);
+  }
+
+  generatePackets(intensity) {
+    this.scenario.traffic.forEach((source, i) => {
+      // Sources with a start or end only send during that part of the run
+      if (this.time < (source.start || 0) || this.time >= (source.end ?? Infinity)) return;
+      const level = source.scaleWithIntensity ? intensity / 100 : 1;
+      
+      // Carry fractional packets over to later steps so low rates are honoured exactly
+      this.trafficCredit[i] = (this.trafficCredit[i] || 0) + level * source.rate * SIMULATION_STEP_SECONDS;
+      while (this.trafficCredit[i] >= 1) {
+        this.trafficCredit[i]--;
+        if (this.rng.next() < source.probability) {
+          this.sendTraffic(source);
+        }
+      }
+    });
+  }
+
+  sendTraffic(source) {
+    const sender = this.rng.choice(this.selectNodes(source.from));
+    if (!sender) return;
+    
+    const target = this.rng.choice(this.selectNodes(source.to).filter(n => n !== sender));
+    if (!target) return;
+    
+    this.createPacket(sender, target, source.packetType, source.speed, {
+      protocol: source.protocol,
+      port: source.port,
+      flags: source.flags,
+      payload: source.payload,
+      // Forged source addresses: replies go to a host that never asked for them
+      sourceAddress: source.spoofSource ? this.spoofedAddress() : undefined
+    });
+  }
+
+  // Random address in 198.18.0.0/15 (reserved for benchmarking, so never a node in the scenario)
+  spoofedAddress() {
+    return `198.${this.rng.int(18, 19)}.${this.rng.int(0, 255)}.${this.rng.int(1, 254)}`;
+  }
+
+  // Current value of a defense or attack parameter; the user may change these while the simulation runs
+  defenseValue(key, fallback) {
+    return this.parameter('defense', key, fallback);
+  }
+
+  attackValue(key, fallback) {
+    return this.parameter('attack', key, fallback);
+  }
+
+  parameter(section, key, fallback) {
+    const value = this.scenario[section][key];
+    return value === undefined ? fallback : value;
+  }
+
+  // Autoscaler settings from the defense parameters (keys as in AUTOSCALER_DEFAULTS), or null when
+  // load-balanced pools have a fixed size
+  get autoscaler() {
+    if (!this.defenseValue('autoscale', false)) return null;
+    
+    const config = {};
+    Object.keys(AUTOSCALER_DEFAULTS).forEach(key => {
+      config[key] = this.defenseValue(key, AUTOSCALER_DEFAULTS[key]);
+    });
+    return config;
+  }
+
+  // Engine state worth watching beside the metrics ({ title, rows: [[label, value, className?]] }), or null
+  describeState() {
+    return null;
+  }
+
+  handleArrival(packet) {
+    const node = packet.target;
+    
+    if (node === packet.destination) {
+      if (node.balancer) {
+        this.balance(packet, node);
+      } else {
+        this.receivePacket(packet, node);
+      }
+      return;
+    }
+    
+    // Intermediate nodes may inspect, rewrite or stop the packet
+    if (!this.inspectTransit(packet, node)) return;
+    
+    if (packet.headers.ip.ttl <= 1) {
+      this.dropPacket(packet, 'ttl expired');
+      return;
+    }
+    
+    const nextHop = this.router.nextHop(node, packet.destination);
+    if (!nextHop) {
+      this.dropPacket(packet, 'no route');
+      return;
+    }
+    
+    packet.forward(this.findNode(nextHop));
+    this.record('forward', packet);
+  }
+
+  // A load balancer passes each packet addressed to it on to a replica chosen by the `lbPolicy`
+  // defense parameter, rewriting its destination address
+  balance(packet, node) {
+    const replica = node.balancer.pick(packet, this.defenseValue('lbPolicy', LB_POLICIES[0]));
+    if (!replica) {
+      this.dropPacket(packet, 'no replica available');
+      return;
+    }
+    
+    const nextHop = this.router.nextHop(node, replica);
+    if (!nextHop) {
+      this.dropPacket(packet, 'no route');
+      return;
+    }
+    
+    packet.destination = replica;
+    packet.balancer = node.balancer;
+    node.balancer.open(replica);
+    packet.rewriteHeaders({ ip: { destination: replica.ip } });
+    packet.forward(this.findNode(nextHop));
+    this.record('forward', packet);
+  }
+
+  // A balanced request was served or lost, which closes its connection
+  release(packet) {
+    if (packet.balancer) {
+      packet.balancer.close(packet.destination);
+      packet.balancer = null;
+    }
+  }
+
+  // Called when a packet reaches an intermediate node; return false if the packet was consumed
+  inspectTransit(packet, node) {
+    // Attackers on the path read and tamper with the traffic they forward
+    if (node.type === 'attacker' && packet.type === 'normal') {
+      packet.type = 'attack';
+      packet.rewriteHeaders({
+        application: { summary: `${packet.headers.application.summary} (altered)`, tamperedBy: node.id }
+      });
+      this.record('intercept', packet);
+    }
+    return true;
+  }
+
+  // Load is the utilization of the busiest host; latency is the mean queueing delay across hosts
+  updateMetrics() {
+    if (this.balancers.length > 0) {
+      // Replicas are priced per minute so that runs of a few minutes show a difference
+      const billed = this.balancers.reduce((sum, balancer) => sum + balancer.billedSeconds, 0);
+      this.metrics.activeReplicas = this.balancers.reduce((sum, balancer) => sum + balancer.active.length, 0);
+      this.metrics.replicaMinutes = Math.round(billed / 6) / 10;
+      this.metrics.replicaCost = Math.round(billed / 60 * this.defenseValue('replicaCost', 0.5) * 100) / 100;
+    }
+    if (this.queues.length === 0) return;
+    
+    this.metrics.serverLoad = Math.max(...this.queues.map(queue => queue.utilization(this.time))) * 100;
+    
+    const delays = this.queues.map(queue => queue.averageDelay()).filter(delay => delay !== null);
+    if (delays.length > 0) {
+      this.metrics.latency = Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length);
+    }
+  }
+
+  // Send a packet from `source` towards `destination`, starting on the first hop of its route
+  // options: header fields for buildHeaders ({ protocol, port, sourcePort, sourceAddress, flags, payload, size })
+  createPacket(source, destination, type, speed, options = {}) {
+    const nextHop = this.router.nextHop(source, destination);
+    const packet = new Packet(
+      this.packetIdCounter++,
+      source,
+      nextHop ? this.findNode(nextHop) : destination,
+      type,
+      speed,
+      destination
+    );
+    packet.headers = this.buildHeaders(packet, { protocol: 'tcp', port: 80, ...options });
+    this.packets.push(packet);
+    this.record('create', packet);
+    
+    if (!nextHop) {
+      this.dropPacket(packet, 'no route');
+    }
+    return packet;
+  }
+
+  // Simulated L2-L7 headers for a new packet on its first hop; `size` is the payload length in bytes
+  // (by default the length of its summary)
+  buildHeaders(packet, { protocol, port, sourcePort, sourceAddress, flags, payload, size }) {
+    const summaries = PAYLOAD_SUMMARIES[protocol] || {};
+    const summary = payload || summaries[port] || (protocol === 'icmp' ? 'Echo request' : `${protocol.toUpperCase()} data`);
+    const transport = protocol === 'icmp' ?
+      { type: 'echo-request' } :
+      {
+        // Ephemeral source ports are derived from the packet id so runs stay reproducible
+        sourcePort: sourcePort === undefined ? 49152 + packet.id % 16384 : sourcePort,
+        destinationPort: port,
+        flags: protocol === 'tcp' ? (flags || ['PSH', 'ACK']) : []
+      };
+    
+    return {
+      ethernet: { source: packet.source.mac, destination: packet.target.mac },
+      ip: {
+        source: sourceAddress || packet.origin.ip,
+        destination: packet.destination.ip,
+        ttl: DEFAULT_TTL,
+        protocol,
+        length: 20 + (protocol === 'tcp' ? 20 : 8) + (size === undefined ? summary.length : size)
+      },
+      transport,
+      application: { summary }
+    };
+  }
+
+  // A packet reached its destination: wait in the host's queue, or drop if it is not admitted
+  receivePacket(packet, node) {
+    if (!node.queue) {
+      this.deliverPacket(packet);
+      return;
+    }
+    
+    const dropReason = node.queue.enqueue(packet, this.time);
+    if (dropReason) {
+      this.dropPacket(packet, dropReason);
+    } else {
+      packet.active = false;
+      packet.status = 'queued';
+    }
+  }
+
+  deliverPacket(packet) {
+    this.release(packet);
+    packet.active = false;
+    packet.status = 'delivered';
+    this.record('deliver', packet);
+  }
+
+  dropPacket(packet, reason) {
+    this.release(packet);
+    packet.active = false;
+    packet.status = 'dropped';
+    this.record('drop', packet, reason);
+  }
+
+  blockPacket(packet, reason) {
+    this.release(packet);
+    packet.active = false;
+    packet.status = 'blocked';
+    // Subscribers still see whether the packet was legitimate or an attack
+    this.record('block', packet, reason);
+    packet.type = 'blocked';
+  }
+
+  // Emit a packet event (one of PACKET_EVENTS) to its subscribers. It happens at the node the packet
+  // leaves when it is sent or forwarded, and otherwise at the node it reached.
+  record(type, packet, reason) {
+    const node = type === 'create' || type === 'forward' ? packet.source : packet.target;
+    const event = { time: this.time, type, packet, node };
+    if (reason) {
+      event.reason = reason;
+    }
+    this.events.emit(type, event);
+  }
+
+  getMetrics() {
+    return { ...this.metrics };
+  }
+}
+
+// Firewall Defense Simulation
+class FirewallAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
+    
+    // Scored against the ground truth: legitimate packets blocked, attack packets let through
+    this.metrics.falsePositives = 0;
+    this.metrics.falseNegatives = 0;
+  }
+  
+  inspectTransit(packet, node) {
+    // Firewalls with an ACL decide whether to block or forward
+    if (node.acl) {
+      const malicious = packet.type === 'attack';
+      const verdict = node.acl.evaluate(packet, this.time);
+      
+      if (verdict.action === 'deny') {
+        if (!malicious) this.metrics.falsePositives++;
+        this.blockPacket(packet, verdict.reason);
+        return false;
+      }
+      if (malicious) this.metrics.falseNegatives++;
+    }
+    return super.inspectTransit(packet, node);
+  }
+}
+
+// Parameters of the DDoS engine when the scenario leaves them out
+const DDOS_DEFENSE = {
+  mitigation: 'none', // 'rate-limit', 'scrubbing', 'anycast' or 'blackhole'
+  rateLimit: 3, // packets per second the edge router lets through from each source address
+  scrubbingAccuracy: 0.95, // share of attack packets the scrubbing center filters out
+  scrubbingFalsePositives: 0.02, // share of legitimate packets it filters out too
+  blackholeThreshold: 90, // victim load (%) at which it asks its provider to blackhole its address
+  uplinkCapacity: 100 // packets per second the link from the edge router into the victim's network carries
+};
+const GOODPUT_WINDOW_MS = 5000;
+
+// DDoS Simulation
+// Attackers and legitimate clients reach the victim's network (the victim is a load balancer in front of
+// a pool of servers, or else the first server; any other servers traffic is addressed to share the
+// network) through the provider's edge router (the first firewall), over an uplink of limited capacity.
+// Mitigations act upstream of the uplink: the edge router rate limits each source, diverts the traffic
+// through the scrubbing center (the second firewall), spreads requests for the victim over anycast
+// replicas (servers nothing is addressed to), or drops everything for the victim.
+class DdosAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
+    
+    Object.assign(this.metrics, {
+      goodput: 0,
+      legitimateServed: 0,
+      legitimateLost: 0,
+      attackFiltered: 0,
+      uplinkDrops: 0
+    });
+    this.metricLabels = {
+      goodput: 'Goodput (legit req/s)',
+      legitimateServed: 'Legitimate requests served',
+      legitimateLost: 'Legitimate requests lost',
+      attackFiltered: 'Attack packets filtered',
+      uplinkDrops: 'Dropped on congested uplink'
+    };
+    this.chartSeries = [
+      { key: 'goodput', label: 'Goodput', color: 'client' }
+    ];
+    this.served = []; // times legitimate requests were served, within the goodput window
+    this.limiter = null;
+    this.blackholedSince = null;
+  }
+
+  initialize() {
+    super.initialize();
+    
+    const servers = this.nodes.filter(node => node.type === 'server');
+    const firewalls = this.nodes.filter(node => node.type === 'firewall');
+    this.victim = this.nodes.find(node => node.balancer) || servers[0] || null;
+    this.edge = firewalls[0] || null;
+    this.scrubber = firewalls[1] || null;
+    this.anycastSites = servers.filter(node => !node.queue);
+    this.anycastSites.forEach(node => {
+      node.queue = new ServerQueue(this.scenario.load, this.rng);
+      this.queues.push(node.queue);
+    });
+    this.uplink = { window: 0, count: 0, offered: 0 }; // packets offered to the uplink per second
+  }
+
+  get mitigation() {
+    return this.defenseValue('mitigation', DDOS_DEFENSE.mitigation);
+  }
+
+  // With anycast, requests for the victim go to the nearest of its sites
+  createPacket(source, destination, type, speed, options = {}) {
+    if (destination === this.victim && this.mitigation === 'anycast' && this.anycastSites.length > 0) {
+      const sites = [this.victim, ...this.anycastSites];
+      const distances = sites.map(site => MathUtils.distance(source.x, source.y, site.x, site.y));
+      destination = sites[distances.indexOf(Math.min(...distances))];
+    }
+    return super.createPacket(source, destination, type, speed, options);
+  }
+
+  // Replicas answer on the victim's (anycast) address
+  buildHeaders(packet, options) {
+    const headers = super.buildHeaders(packet, options);
+    if (this.anycastSites.includes(packet.destination)) {
+      headers.ip.destination = this.victim.ip;
+    }
+    return headers;
+  }
+
+  inspectTransit(packet, node) {
+    if (node === this.edge) return this.edgeRouter(packet, node);
+    if (node === this.scrubber) return this.scrub(packet);
+    return super.inspectTransit(packet, node);
+  }
+
+  // Mitigations run in the provider's network; what is left for the victim's network shares the uplink
+  edgeRouter(packet, node) {
+    if (this.anycastSites.includes(packet.destination)) return true;
+    
+    // The edge router's own ACL, if it has one, comes before any mitigation
+    if (node.acl) {
+      const verdict = node.acl.evaluate(packet, this.time);
+      if (verdict.action === 'deny') {
+        this.filter(packet, verdict.reason);
+        return false;
+      }
+    }
+    
+    const mitigation = this.mitigation;
+    if (mitigation === 'blackhole' && this.blackholedSince !== null && packet.destination === this.victim) {
+      this.filter(packet, 'blackholed');
+      return false;
+    }
+    if (mitigation === 'rate-limit' && !this.rateLimiter().take(packet.headers.ip.source, this.time)) {
+      this.filter(packet, 'rate limit');
+      return false;
+    }
+    if (mitigation === 'scrubbing' && this.scrubber) {
+      packet.forward(this.scrubber);
+      this.record('forward', packet);
+      return false;
+    }
+    
+    if (this.uplinkCongested()) {
+      this.metrics.uplinkDrops++;
+      this.dropPacket(packet, 'uplink congested');
+      return false;
+    }
+    return true;
+  }
+
+  // A congested uplink loses packets at random, in proportion to how far the load offered in the last
+  // second exceeds its capacity
+  uplinkCongested() {
+    const window = Math.floor(this.time / 1000);
+    if (window !== this.uplink.window) {
+      this.uplink.offered = window === this.uplink.window + 1 ? this.uplink.count : 0;
+      this.uplink.window = window;
+      this.uplink.count = 0;
+    }
+    this.uplink.count++;
+    
+    const capacity = this.defenseValue('uplinkCapacity', DDOS_DEFENSE.uplinkCapacity);
+    return this.uplink.offered > capacity && this.rng.next() > capacity / this.uplink.offered;
+  }
+
+  // The scrubbing center classifies each packet, filtering most of the attack and a little legitimate
+  // traffic, and sends the rest to the victim's network over a dedicated link
+  scrub(packet) {
+    const malicious = packet.type === 'attack';
+    const filtered = malicious ?
+      this.rng.next() < this.defenseValue('scrubbingAccuracy', DDOS_DEFENSE.scrubbingAccuracy) :
+      this.rng.next() < this.defenseValue('scrubbingFalsePositives', DDOS_DEFENSE.scrubbingFalsePositives);
+    if (filtered) {
+      this.filter(packet, 'scrubbed');
+      return false;
+    }
+    return true;
+  }
+
+  filter(packet, reason) {
+    if (packet.type === 'attack') {
+      this.metrics.attackFiltered++;
+    } else {
+      this.metrics.legitimateLost++;
+    }
+    this.blockPacket(packet, reason);
+  }
+
+  // Rebuilt when the user changes the limit
+  rateLimiter() {
+    const rate = this.defenseValue('rateLimit', DDOS_DEFENSE.rateLimit);
+    if (!this.limiter || this.limiter.rate !== rate) {
+      this.limiter = new TokenBuckets(rate);
+    }
+    return this.limiter;
+  }
+
+  deliverPacket(packet) {
+    super.deliverPacket(packet);
+    
+    if (packet.type === 'normal') {
+      this.metrics.legitimateServed++;
+      this.served.push(this.time);
+    }
+  }
+
+  dropPacket(packet, reason) {
+    if (packet.type === 'normal') {
+      this.metrics.legitimateLost++;
+    }
+    super.dropPacket(packet, reason);
+  }
+
+  updateMetrics() {
+    super.updateMetrics();
+    
+    while (this.served.length > 0 && this.served[0] <= this.time - GOODPUT_WINDOW_MS) {
+      this.served.shift();
+    }
+    this.metrics.goodput = Math.round(this.served.length / Math.min(this.time, GOODPUT_WINDOW_MS) * 10000) / 10;
+    
+    // The victim's address is announced for blackholing once it is overloaded, and withdrawn when the
+    // mitigation is switched off
+    if (this.mitigation !== 'blackhole') {
+      this.blackholedSince = null;
+    } else if (this.blackholedSince === null && this.victim &&
+        this.load(this.victim) * 100 >= this.defenseValue('blackholeThreshold', DDOS_DEFENSE.blackholeThreshold)) {
+      this.blackholedSince = this.time;
+    }
+  }
+
+  // Utilization (0-1) of a site: its queue's, or the mean of a load balancer's active replicas
+  load(site) {
+    if (site.balancer) return site.balancer.utilization(this.time);
+    return site.queue ? site.queue.utilization(this.time) : 0;
+  }
+
+  describeState() {
+    const mitigation = this.mitigation;
+    const status = {
+      none: ['no mitigation'],
+      'rate-limit': [`${this.defenseValue('rateLimit', DDOS_DEFENSE.rateLimit)} packets/s per source at ${this.edge ? this.edge.id : 'the edge'}`],
+      scrubbing: [this.scrubber ? `diverted through ${this.scrubber.id}` : 'no scrubbing center', this.scrubber ? '' : 'tampered'],
+      anycast: [`spread over ${this.anycastSites.length + 1} sites`],
+      blackhole: this.blackholedSince === null ?
+        ['armed, victim not overloaded yet'] :
+        [`all traffic to ${this.victim.id} dropped since ${(this.blackholedSince / 1000).toFixed(1)}s`, 'tampered']
+    }[mitigation] || ['unknown mitigation', 'tampered'];
+    
+    const rows = [['Mitigation', ...status]];
+    [this.victim, ...(mitigation === 'anycast' ? this.anycastSites : [])].forEach(site => {
+      if (!site) return;
+      const pool = site.balancer ? `${site.balancer.active.length}/${site.balancer.replicas.length} replicas, ` : '';
+      rows.push([site.id, `${pool}${Math.round(this.load(site) * 100)}% busy`]);
+    });
+    return { title: 'Mitigation', rows };
+  }
+}
+
+// Defense parameters of the SYN flood engine when the scenario leaves them out
+const SYN_FLOOD_DEFENSE = {
+  backlog: 128, // half-open connections each server can hold
+  synTimeout: 3000, // ms a half-open connection waits for the client's ACK
+  synCookies: false // answer SYNs statelessly once the backlog is full
+};
+
+// SYN Flood Simulation
+// Servers run the TCP three-way handshake and keep a table of half-open connections
+class SynFloodAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
+    
+    Object.assign(this.metrics, {
+      halfOpen: 0,
+      handshakesCompleted: 0,
+      handshakesFailed: 0,
+      synCookiesSent: 0
+    });
+    this.metricLabels = {
+      halfOpen: 'Half-open connections',
+      handshakesCompleted: 'Handshakes completed',
+      handshakesFailed: 'Handshakes failed',
+      synCookiesSent: 'SYN cookies sent'
+    };
+  }
+
+  initialize() {
+    super.initialize();
+    
+    // "address:port" of the client -> { timer } for every SYN awaiting its ACK
+    this.nodes.filter(node => node.type === 'server').forEach(node => {
+      node.halfOpen = new Map();
+    });
+  }
+
+  deliverPacket(packet) {
+    const node = packet.destination;
+    const { ip, transport } = packet.headers;
+    const flags = ip.protocol === 'tcp' ? transport.flags : [];
+    
+    if (node.halfOpen && flags.includes('SYN') && !flags.includes('ACK')) {
+      if (!this.acceptSyn(packet, node)) {
+        this.dropPacket(packet, 'backlog full');
+        return;
+      }
+    } else if (node.halfOpen && flags.length === 1 && flags[0] === 'ACK') {
+      if (!this.completeHandshake(packet, node)) {
+        this.dropPacket(packet, 'no half-open connection');
+        return;
+      }
+    }
+    
+    super.deliverPacket(packet);
+    
+    // Clients finish the handshake when the server's SYN-ACK arrives
+    if (!node.halfOpen && flags.includes('SYN') && flags.includes('ACK')) {
+      this.createPacket(node, packet.origin, 'normal', packet.speed, {
+        port: transport.sourcePort,
+        sourcePort: transport.destinationPort,
+        flags: ['ACK'],
+        payload: transport.cookie ? 'TCP ACK (echoes SYN cookie)' : 'TCP ACK',
+        cookie: transport.cookie
+      });
+    }
+  }
+
+  // Record a half-open connection (or answer with a SYN cookie); returns false if the SYN is dropped
+  acceptSyn(packet, server) {
+    const { ip, transport } = packet.headers;
+    const key = `${ip.source}:${transport.sourcePort}`;
+    
+    if (server.halfOpen.has(key)) return true;
+    
+    if (server.halfOpen.size >= this.defenseValue('backlog', SYN_FLOOD_DEFENSE.backlog)) {
+      if (!this.defenseValue('synCookies', SYN_FLOOD_DEFENSE.synCookies)) return false;
+      
+      // The cookie encodes the connection in the SYN-ACK's sequence number, so no state is kept
+      this.metrics.synCookiesSent++;
+      this.sendSynAck(packet, server, true);
+      return true;
+    }
+    
+    const timer = this.schedule(this.defenseValue('synTimeout', SYN_FLOOD_DEFENSE.synTimeout), () => {
+      server.halfOpen.delete(key);
+    });
+    server.halfOpen.set(key, { timer });
+    this.sendSynAck(packet, server, false);
+    return true;
+  }
+
+  // Returns false if the ACK matches neither a half-open connection nor a valid SYN cookie
+  completeHandshake(packet, server) {
+    const { ip, transport } = packet.headers;
+    const key = `${ip.source}:${transport.sourcePort}`;
+    const entry = server.halfOpen.get(key);
+    
+    if (entry) {
+      this.scheduler.cancel(entry.timer);
+      server.halfOpen.delete(key);
+    } else if (!(transport.cookie && this.defenseValue('synCookies', SYN_FLOOD_DEFENSE.synCookies))) {
+      return false;
+    }
+    
+    this.metrics.handshakesCompleted++;
+    return true;
+  }
+
+  // Reply to the SYN's source address; a spoofed address belongs to no node, so the reply goes nowhere
+  sendSynAck(packet, server, cookie) {
+    const { ip, transport } = packet.headers;
+    const client = this.nodes.find(node => node.ip === ip.source);
+    if (!client) return;
+    
+    this.createPacket(server, client, 'normal', packet.speed, {
+      port: transport.sourcePort,
+      sourcePort: transport.destinationPort,
+      flags: ['SYN', 'ACK'],
+      payload: cookie ? 'TCP SYN-ACK (SYN cookie)' : 'TCP SYN-ACK',
+      cookie
+    });
+  }
+
+  // Segments of a cookie handshake carry the cookie in their sequence numbers
+  buildHeaders(packet, options) {
+    const headers = super.buildHeaders(packet, options);
+    if (options.cookie) {
+      headers.transport.cookie = true;
+    }
+    return headers;
+  }
+
+  // A legitimate handshake fails when any of its segments is lost
+  dropPacket(packet, reason) {
+    super.dropPacket(packet, reason);
+    
+    const { ip, transport } = packet.headers;
+    if (packet.type === 'normal' && ip.protocol === 'tcp' &&
+      (transport.flags.includes('SYN') || (transport.flags.length === 1 && transport.flags[0] === 'ACK'))) {
+      this.metrics.handshakesFailed++;
+    }
+  }
+
+  updateMetrics() {
+    super.updateMetrics();
+    this.metrics.halfOpen = this.nodes.reduce((sum, node) => sum + (node.halfOpen ? node.halfOpen.size : 0), 0);
+  }
+}
+
+// Defense parameters of the DNS poisoning engine when the scenario leaves them out
+const DNS_POISON_DEFENSE = {
+  transactionIdBits: 16, // size of the resolver's query id space (16 in real DNS)
+  sourcePortRandomization: false, // query from a random port instead of a fixed one
+  dnssec: false // reject answers without a valid signature
+};
+
+// Names served by the authoritative server; the attacker targets the first
+const DNS_NAMES = ['bank.example', 'mail.example', 'news.example'];
+const DNS_TTL = 30; // seconds the resolver caches genuine answers
+const DNS_FORGED_TTL = 300; // seconds forged answers ask to be cached for
+const DNS_RESOLVER_PORT = 33333; // query port when source ports are not randomized
+const DNS_ATTACK_WINDOW_MS = 2500; // how long the attacker forges answers for each query it triggers
+const DNS_QUERY_TIMEOUT_MS = 6000; // the resolver gives up on an unanswered query after this long
+
+// DNS Cache Poisoning Simulation
+// Clients ask the node "resolver", which caches what the node "authoritative" answers. The attacker
+// makes the resolver look up random names under the target domain (Kaminsky's attack) and races the
+// genuine answer with forged ones that guess the query id and port and delegate the domain to itself.
+class DnsPoisonAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
+    
+    Object.assign(this.metrics, {
+      poisonWindows: 0,
+      forgedResponses: 0,
+      cachePoisonings: 0,
+      poisonSuccessRate: 0,
+      poisonedAnswers: 0,
+      dnssecRejected: 0
+    });
+    this.metricLabels = {
+      poisonWindows: 'Lookups triggered',
+      forgedResponses: 'Forged responses',
+      cachePoisonings: 'Cache poisonings',
+      poisonSuccessRate: 'Success rate (%)',
+      poisonedAnswers: 'Poisoned answers to clients',
+      dnssecRejected: 'Rejected by DNSSEC'
+    };
+    this.attackWindows = new Map(); // attacker id -> { name, opened }
+    this.triggerCounter = 0;
+  }
+
+  initialize() {
+    super.initialize();
+    
+    this.resolver = this.findNode('resolver');
+    this.authoritative = this.findNode('authoritative');
+    if (this.resolver) {
+      this.resolver.dnsCache = new Map(); // name -> { address, expires, poisoned }
+      this.resolver.pendingQueries = new Map(); // name -> { id, port, askers }
+    }
+  }
+
+  sendTraffic(source) {
+    if (!this.resolver || !this.authoritative) {
+      super.sendTraffic(source);
+      return;
+    }
+    
+    const sender = this.rng.choice(this.selectNodes(source.from).filter(n => n !== this.resolver));
+    if (!sender) return;
+    
+    if (sender.type === 'attacker') {
+      this.attack(sender, source.speed);
+    } else {
+      this.sendDns(sender, this.resolver, 'normal', source.speed, { name: this.rng.choice(DNS_NAMES), id: this.rng.int(0, 65535) });
+    }
+  }
+
+  // Each call either triggers a new lookup of a random name or forges one answer to the current lookup
+  attack(attacker, speed) {
+    let window = this.attackWindows.get(attacker.id);
+    
+    if (!window || this.time - window.opened >= DNS_ATTACK_WINDOW_MS) {
+      window = { name: `r${this.triggerCounter++}.${DNS_NAMES[0]}`, opened: this.time };
+      this.attackWindows.set(attacker.id, window);
+      this.metrics.poisonWindows++;
+      this.sendDns(attacker, this.resolver, 'attack', speed, { name: window.name, id: this.rng.int(0, 65535) });
+      return;
+    }
+    
+    // Guess the query id and, if the resolver randomizes it, the port
+    const bits = this.defenseValue('transactionIdBits', DNS_POISON_DEFENSE.transactionIdBits);
+    const port = this.defenseValue('sourcePortRandomization', DNS_POISON_DEFENSE.sourcePortRandomization) ?
+      this.rng.int(1024, 65535) : DNS_RESOLVER_PORT;
+    
+    this.metrics.forgedResponses++;
+    this.sendDns(attacker, this.resolver, 'attack', speed, {
+      id: this.rng.int(0, 2 ** bits - 1),
+      name: window.name,
+      address: attacker.ip,
+      delegates: DNS_NAMES[0],
+      ttl: DNS_FORGED_TTL,
+      signed: false
+    }, { port, sourceAddress: this.authoritative.ip });
+  }
+
+  // dns: { name, id } for queries, plus { address, ttl, signed, delegates? } for answers
+  sendDns(source, destination, type, speed, dns, { port = 53, sourcePort, sourceAddress } = {}) {
+    const answer = dns.address !== undefined;
+    let summary = `DNS query A ${dns.name}`;
+    if (answer) {
+      summary = `DNS response ${dns.name} A ${dns.address || 'NXDOMAIN'}`;
+      if (dns.delegates) summary += `, NS ${dns.delegates} → ${dns.address}`;
+    }
+    
+    return this.createPacket(source, destination, type, speed, {
+      protocol: 'udp',
+      port,
+      sourcePort: sourcePort === undefined ? (answer ? 53 : undefined) : sourcePort,
+      sourceAddress,
+      payload: summary,
+      dns
+    });
+  }
+
+  buildHeaders(packet, options) {
+    const headers = super.buildHeaders(packet, options);
+    if (options.dns) {
+      headers.application.dns = options.dns;
+    }
+    return headers;
+  }
+
+  deliverPacket(packet) {
+    const node = packet.destination;
+    const dns = packet.headers.application.dns;
+    if (!dns || (node !== this.resolver && node !== this.authoritative)) {
+      super.deliverPacket(packet);
+      return;
+    }
+    
+    if (dns.address === undefined) {
+      super.deliverPacket(packet);
+      if (node === this.resolver) {
+        this.resolve(packet);
+      } else {
+        this.answerQuery(packet);
+      }
+      return;
+    }
+    
+    if (node === this.resolver) {
+      this.acceptAnswer(packet);
+    } else {
+      this.dropPacket(packet, 'unexpected response');
+    }
+  }
+
+  // The resolver answers from its cache or asks the authoritative server
+  resolve(query) {
+    const { name } = query.headers.application.dns;
+    const cached = this.lookup(name);
+    if (cached) {
+      this.answerAsker(query, name, cached);
+      return;
+    }
+    
+    const pending = this.resolver.pendingQueries;
+    if (pending.has(name)) {
+      pending.get(name).askers.push(query);
+      return;
+    }
+    
+    const bits = this.defenseValue('transactionIdBits', DNS_POISON_DEFENSE.transactionIdBits);
+    const id = this.rng.int(0, 2 ** bits - 1);
+    const port = this.defenseValue('sourcePortRandomization', DNS_POISON_DEFENSE.sourcePortRandomization) ?
+      this.rng.int(1024, 65535) : DNS_RESOLVER_PORT;
+    const entry = { id, port, askers: [query] };
+    pending.set(name, entry);
+    this.schedule(DNS_QUERY_TIMEOUT_MS, () => {
+      if (pending.get(name) === entry) pending.delete(name);
+    });
+    this.sendDns(this.resolver, this.authoritative, 'normal', query.speed, { name, id }, { sourcePort: port });
+  }
+
+  // Genuine, signed answers: an address for the names the server knows, NXDOMAIN otherwise
+  answerQuery(query) {
+    const { name, id } = query.headers.application.dns;
+    const index = DNS_NAMES.indexOf(name);
+    this.sendDns(this.authoritative, this.resolver, 'normal', query.speed, {
+      id,
+      name,
+      address: index === -1 ? null : `203.0.113.${10 + index}`,
+      ttl: DNS_TTL,
+      signed: true
+    }, { port: query.headers.transport.sourcePort });
+  }
+
+  // An answer is only accepted for an outstanding query with the same id, on the port it was sent from
+  acceptAnswer(packet) {
+    const dns = packet.headers.application.dns;
+    const pending = this.resolver.pendingQueries.get(dns.name);
+    if (!pending || pending.id !== dns.id || pending.port !== packet.headers.transport.destinationPort) {
+      this.dropPacket(packet, pending ? 'id or port mismatch' : 'no outstanding query');
+      return;
+    }
+    
+    if (!dns.signed && this.defenseValue('dnssec', DNS_POISON_DEFENSE.dnssec)) {
+      this.metrics.dnssecRejected++;
+      this.blockPacket(packet, 'DNSSEC validation failed');
+      return;
+    }
+    
+    super.deliverPacket(packet);
+    this.resolver.pendingQueries.delete(dns.name);
+    
+    const poisoned = !dns.signed;
+    const record = { address: dns.address, expires: this.time + dns.ttl * 1000, poisoned };
+    if (dns.address !== null) {
+      this.resolver.dnsCache.set(dns.name, record);
+    }
+    if (dns.delegates) {
+      this.resolver.dnsCache.set(dns.delegates, record);
+    }
+    if (poisoned) {
+      this.metrics.cachePoisonings++;
+    }
+    pending.askers.forEach(query => this.answerAsker(query, dns.name, record));
+  }
+
+  answerAsker(query, name, record) {
+    if (record.poisoned && query.type === 'normal') {
+      this.metrics.poisonedAnswers++;
+    }
+    this.sendDns(this.resolver, query.origin, record.poisoned ? 'attack' : 'normal', query.speed, {
+      id: query.headers.application.dns.id,
+      name,
+      address: record.address,
+      ttl: Math.ceil((record.expires - this.time) / 1000),
+      signed: !record.poisoned
+    }, { port: query.headers.transport.sourcePort });
+  }
+
+  // Unexpired cache entry for `name`, or null
+  lookup(name) {
+    const record = this.resolver.dnsCache.get(name);
+    if (record && record.expires <= this.time) {
+      this.resolver.dnsCache.delete(name);
+      return null;
+    }
+    return record || null;
+  }
+
+  updateMetrics() {
+    super.updateMetrics();
+    const windows = this.metrics.poisonWindows;
+    this.metrics.poisonSuccessRate = windows > 0 ? Math.round(this.metrics.cachePoisonings / windows * 1000) / 10 : 0;
+  }
+
+  // The resolver cache, for the defense panel
+  describeState() {
+    if (!this.resolver) return null;
+    
+    const rows = [];
+    this.resolver.dnsCache.forEach((record, name) => {
+      if (!this.lookup(name)) return;
+      const ttl = Math.ceil((record.expires - this.time) / 1000);
+      rows.push([name, `${record.address} · ${ttl}s`, record.poisoned ? 'tampered' : '']);
+    });
+    rows.sort((a, b) => a[0].localeCompare(b[0]));
+    return { title: 'Resolver cache', rows };
+  }
+}
+
+// Defense parameters of the credential attack engine when the scenario leaves them out
+const CREDENTIAL_DEFENSE = {
+  lockoutThreshold: 0, // failed logins within LOCKOUT_WINDOW_MS that lock an account (0 = never)
+  lockoutDuration: 30000, // ms a locked account refuses every login
+  progressiveDelay: false, // after each failure the account refuses logins for twice as long as before
+  captcha: false, // challenge logins to accounts with CAPTCHA_THRESHOLD recent failures
+  ipThrottle: 0 // login attempts per second accepted from each address (0 = unlimited)
+};
+
+const ACCOUNT_COUNT = 30;
+const DICTIONARY_SIZE = 50; // most common passwords, in order of popularity
+const LOCKOUT_WINDOW_MS = 15000;
+const CAPTCHA_THRESHOLD = 3;
+const CAPTCHA_SOLVE_RATE = { human: 0.9, bot: 0.1 };
+const PROGRESSIVE_DELAY_MS = 500; // after the first failure; doubles with each further one
+const PROGRESSIVE_DELAY_MAX_MS = 30000;
+const SPRAY_ROUND_MS = 10000; // sprayers try one password on every account per round
+const LOGIN_TYPO_RATE = 0.1; // legitimate users mistype their password this often
+
+// Credential Attack Simulation
+// The first server holds an account store. Clients log in to their own accounts; attackers guess
+// passwords with the strategy in the scenario's attack.strategy:
+//   dictionary  every common password against one account, then the next account
+//   spraying    one common password against every account per round, staying under lockout thresholds
+//   stuffing    username/password pairs leaked from another site, each tried once
+class CredentialAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
+    
+    Object.assign(this.metrics, {
+      loginAttempts: 0,
+      compromisedAccounts: 0,
+      accountLockouts: 0,
+      legitimateLogins: 0,
+      legitimateLockouts: 0,
+      captchaChallenges: 0,
+      throttledAttempts: 0
+    });
+    this.metricLabels = {
+      loginAttempts: 'Login attempts',
+      compromisedAccounts: 'Compromised accounts',
+      accountLockouts: 'Account lockouts',
+      legitimateLogins: 'Legitimate logins',
+      legitimateLockouts: 'Legitimate users locked out',
+      captchaChallenges: 'CAPTCHA challenges',
+      throttledAttempts: 'Throttled attempts'
+    };
+    this.campaign = null;
+    this.throttle = null;
+    this.lockedOutUsers = new Set(); // legitimate users refused at least once because their account was locked
+  }
+
+  initialize() {
+    super.initialize();
+    
+    this.server = this.nodes.find(node => node.type === 'server') || null;
+    if (this.server) {
+      this.createAccounts();
+    }
+  }
+
+  // Accounts have a weak password (from the dictionary), one reused from a breached site, or a strong one.
+  // The first accounts belong to the clients, in order.
+  createAccounts() {
+    const clients = this.nodes.filter(node => node.type === 'client');
+    this.server.accounts = new Map();
+    
+    for (let i = 0; i < ACCOUNT_COUNT; i++) {
+      const roll = this.rng.next();
+      let password = { kind: 'strong' };
+      if (roll < 0.25) {
+        // The most popular passwords are the most common
+        password = { kind: 'weak', rank: Math.floor(DICTIONARY_SIZE * this.rng.next() ** 2) };
+      } else if (roll < 0.45) {
+        password = { kind: 'reused' };
+      }
+      
+      const name = `user${i}`;
+      this.server.accounts.set(name, {
+        name,
+        password,
+        owner: clients[i] ? clients[i].id : null,
+        failures: [], // times of recent failed logins
+        lockedUntil: 0,
+        retryAt: 0,
+        compromised: false
+      });
+    }
+    
+    // The leak holds every reused password, stale passwords of some other users and people without an account
+    this.breachList = [];
+    this.server.accounts.forEach(account => {
+      if (account.password.kind === 'reused' || this.rng.next() < 0.3) {
+        this.breachList.push({ user: account.name, password: 'leaked' });
+      }
+    });
+    for (let i = 0; i < ACCOUNT_COUNT; i++) {
+      this.breachList.push({ user: `leak${i}`, password: 'leaked' });
+    }
+    for (let i = this.breachList.length - 1; i > 0; i--) {
+      const j = this.rng.int(0, i);
+      [this.breachList[i], this.breachList[j]] = [this.breachList[j], this.breachList[i]];
+    }
+  }
+
+  sendTraffic(source) {
+    if (!this.server) {
+      super.sendTraffic(source);
+      return;
+    }
+    
+    const sender = this.rng.choice(this.selectNodes(source.from));
+    if (!sender) return;
+    
+    let login;
+    if (sender.type === 'attacker') {
+      login = this.nextGuess();
+    } else {
+      const account = [...this.server.accounts.values()].find(item => item.owner === sender.id);
+      if (account) {
+        login = { user: account.name, password: this.rng.next() < LOGIN_TYPO_RATE ? 'typo' : 'correct' };
+      }
+    }
+    if (!login) return;
+    
+    const secret = typeof login.password === 'number' ? `<common password #${login.password + 1}>` : `<${login.password} password>`;
+    this.createPacket(sender, this.server, source.packetType, source.speed, {
+      port: 443,
+      payload: `POST /login user=${login.user} password=${secret}`,
+      login
+    });
+  }
+
+  // The attackers' next guess ({ user, password }), or null while they wait or once they have run out.
+  // Dictionary passwords are their rank in the dictionary.
+  nextGuess() {
+    const strategy = this.attackValue('strategy', 'dictionary');
+    if (!this.campaign || this.campaign.strategy !== strategy) {
+      this.campaign = { strategy, index: 0, roundStarted: this.time };
+    }
+    
+    const campaign = this.campaign;
+    const accounts = [...this.server.accounts.values()];
+    
+    switch (strategy) {
+      case 'spraying': {
+        const round = Math.floor(campaign.index / accounts.length);
+        if (round >= DICTIONARY_SIZE) return null;
+        if (campaign.index % accounts.length === 0 && campaign.index > 0) {
+          if (this.time - campaign.roundStarted < SPRAY_ROUND_MS) return null;
+          campaign.roundStarted = this.time;
+        }
+        const account = accounts[campaign.index++ % accounts.length];
+        return { user: account.name, password: round };
+      }
+      case 'stuffing':
+        return campaign.index < this.breachList.length ? this.breachList[campaign.index++] : null;
+      default: {
+        // Move on from accounts the attackers already broke into
+        while (campaign.index < accounts.length * DICTIONARY_SIZE &&
+          accounts[Math.floor(campaign.index / DICTIONARY_SIZE)].compromised) {
+          campaign.index = (Math.floor(campaign.index / DICTIONARY_SIZE) + 1) * DICTIONARY_SIZE;
+        }
+        if (campaign.index >= accounts.length * DICTIONARY_SIZE) return null;
+        const account = accounts[Math.floor(campaign.index / DICTIONARY_SIZE)];
+        return { user: account.name, password: campaign.index++ % DICTIONARY_SIZE };
+      }
+    }
+  }
+
+  buildHeaders(packet, options) {
+    const headers = super.buildHeaders(packet, options);
+    if (options.login) {
+      headers.application.login = options.login;
+    }
+    return headers;
+  }
+
+  // Per-address throttling happens in front of the application, before the packet is queued
+  receivePacket(packet, node) {
+    const rate = this.defenseValue('ipThrottle', CREDENTIAL_DEFENSE.ipThrottle);
+    if (node === this.server && packet.headers.application.login && rate > 0) {
+      if (!this.throttle || this.throttle.rate !== rate) {
+        this.throttle = new TokenBuckets(rate);
+      }
+      if (!this.throttle.take(packet.headers.ip.source, this.time)) {
+        this.metrics.throttledAttempts++;
+        this.blockPacket(packet, 'IP throttled');
+        return;
+      }
+    }
+    super.receivePacket(packet, node);
+  }
+
+  deliverPacket(packet) {
+    super.deliverPacket(packet);
+    if (packet.destination === this.server && packet.headers.application.login) {
+      this.checkLogin(packet);
+    }
+  }
+
+  // Apply the account defenses, then the password; answers with an HTTP status
+  checkLogin(packet) {
+    const { user, password } = packet.headers.application.login;
+    const human = packet.type === 'normal';
+    const account = this.server.accounts.get(user);
+    this.metrics.loginAttempts++;
+    
+    if (!account) {
+      this.respond(packet, '401 Unauthorized');
+      return;
+    }
+    
+    if (account.lockedUntil > this.time) {
+      // A user who keeps retrying while locked out still counts once
+      if (human) {
+        this.lockedOutUsers.add(user);
+        this.metrics.legitimateLockouts = this.lockedOutUsers.size;
+      }
+      this.respond(packet, '423 Locked');
+      return;
+    }
+    if (account.retryAt > this.time) {
+      this.respond(packet, '429 Too Many Requests');
+      return;
+    }
+    
+    account.failures = account.failures.filter(time => time > this.time - LOCKOUT_WINDOW_MS);
+    if (this.defenseValue('captcha', CREDENTIAL_DEFENSE.captcha) && account.failures.length >= CAPTCHA_THRESHOLD) {
+      this.metrics.captchaChallenges++;
+      if (this.rng.next() >= CAPTCHA_SOLVE_RATE[human ? 'human' : 'bot']) {
+        this.respond(packet, '403 CAPTCHA failed');
+        return;
+      }
+    }
+    
+    if (this.passwordMatches(account, password)) {
+      account.failures = [];
+      if (human) {
+        this.metrics.legitimateLogins++;
+      } else if (!account.compromised) {
+        account.compromised = true;
+        this.metrics.compromisedAccounts++;
+      }
+      this.respond(packet, '200 OK (session cookie)');
+      return;
+    }
+    
+    account.failures.push(this.time);
+    if (this.defenseValue('progressiveDelay', CREDENTIAL_DEFENSE.progressiveDelay)) {
+      account.retryAt = this.time + Math.min(PROGRESSIVE_DELAY_MAX_MS, PROGRESSIVE_DELAY_MS * 2 ** (account.failures.length - 1));
     }
+    const threshold = this.defenseValue('lockoutThreshold', CREDENTIAL_DEFENSE.lockoutThreshold);
+    if (threshold > 0 && account.failures.length >= threshold) {
+      account.lockedUntil = this.time + this.defenseValue('lockoutDuration', CREDENTIAL_DEFENSE.lockoutDuration);
+      account.failures = [];
+      this.metrics.accountLockouts++;
+    }
+    this.respond(packet, '401 Unauthorized');
+  }
+
+  passwordMatches(account, password) {
+    switch (password) {
+      case 'correct': return true;
+      case 'typo': return false;
+      case 'leaked': return account.password.kind === 'reused';
+      default: return account.password.kind === 'weak' && account.password.rank === password;
+    }
+  }
+
+  // Successful logins by an attacker come back as attack traffic: the session is theirs
+  respond(request, status) {
+    const stolen = request.type === 'attack' && status.startsWith('200');
+    this.createPacket(this.server, request.origin, stolen ? 'attack' : 'normal', request.speed, {
+      port: request.headers.transport.sourcePort,
+      sourcePort: 443,
+      payload: `HTTP ${status}`
+    });
+  }
+
+  // Accounts that are compromised, locked or delaying logins, for the defense panel
+  describeState() {
+    if (!this.server) return null;
+    
+    const rows = [];
+    this.server.accounts.forEach(account => {
+      if (account.compromised) {
+        rows.push([account.name, 'compromised', 'tampered']);
+      } else if (account.lockedUntil > this.time) {
+        rows.push([account.name, `locked · ${Math.ceil((account.lockedUntil - this.time) / 1000)}s`]);
+      } else if (account.retryAt > this.time) {
+        rows.push([account.name, `delayed · ${Math.ceil((account.retryAt - this.time) / 1000)}s`]);
+      }
+    });
+    return { title: `Accounts (${this.server.accounts.size})`, rows };
   }
+}
+
+// Parameters of the worm engine when the scenario leaves them out
+const WORM_DEFENSE = {
+  patchRate: 0.02 // chance per second that each unpatched client installs the patch (cleaning an infection)
+};
+const WORM_ATTACK = {
+  infectionRate: 1, // exploit attempts per second from each infected client
+  ddosThreshold: 12, // bots the command-and-control server waits for before ordering the flood
+  floodRate: 15 // packets per second each bot sends at 100% intensity
 };
 
-// Base Attack Simulation Class
-class AttackSimulation {
+// Worm Propagation Simulation
+// Clients move from susceptible to infected to patched. The first attacker is the command-and-control
+// (C2) server: it infects one client, and every infected client scans others with the exploit and
+// checks in with the C2. Once the botnet is big enough, the C2 orders its bots to flood the first server.
+class WormAttack extends AttackSimulation {
   constructor(scenario, rng, canvasWidth, canvasHeight) {
-    this.scenario = scenario;
-    this.rng = rng;
-    this.canvasWidth = canvasWidth;
-    this.canvasHeight = canvasHeight;
-    this.nodes = [];
-    this.packets = [];
-    this.metrics = {
-      packetsSent: 0,
-      packetsReceived: 0,
-      packetsDropped: 0,
-      packetsBlocked: 0,
-      serverLoad: 0,
-      latency: 0
+    super(scenario, rng, canvasWidth, canvasHeight);
+    
+    Object.assign(this.metrics, {
+      susceptible: 0,
+      infected: 0,
+      patched: 0,
+      botnetSize: 0,
+      infections: 0,
+      floodPackets: 0
+    });
+    this.metricLabels = {
+      susceptible: 'Susceptible clients',
+      infected: 'Infected clients',
+      patched: 'Patched clients',
+      botnetSize: 'Bots recruited',
+      infections: 'Infections (total)',
+      floodPackets: 'Flood packets sent'
     };
-    this.time = 0;
-    this.packetIdCounter = 0;
+    this.chartSeries = [
+      { key: 'susceptible', label: 'Susceptible', color: 'client' },
+      { key: 'infected', label: 'Infected', color: 'attacker' },
+      { key: 'patched', label: 'Patched', color: 'firewall' }
+    ];
+    this.botnet = new Set();
+    this.ddosStartedAt = null;
+    this.outbreakStarted = false;
+    this.wormCredit = new Map();
   }
 
   initialize() {
-    // Override in subclasses
+    super.initialize();
+    
+    this.c2 = this.nodes.find(node => node.type === 'attacker') || null;
+    this.target = this.nodes.find(node => node.type === 'server') || null;
+    this.clients = this.nodes.filter(node => node.type === 'client');
+    this.clients.forEach(node => {
+      node.infection = 'susceptible';
+    });
   }
 
-  update(deltaTime, speed, intensity) {
-    this.time += deltaTime * speed;
+  generatePackets(intensity) {
+    super.generatePackets(intensity);
+    if (!this.c2) return;
     
-    // Update packets
-    this.packets = this.packets.filter(packet => packet.update());
+    // The C2 exploits patient zero on the first step
+    if (!this.outbreakStarted) {
+      this.outbreakStarted = true;
+      const patientZero = this.rng.choice(this.clients);
+      if (patientZero) {
+        this.sendWorm(this.c2, patientZero, 'exploit');
+      }
+    }
     
-    // Generate new packets based on scenario
-    this.generatePackets(intensity);
+    const patchChance = this.defenseValue('patchRate', WORM_DEFENSE.patchRate) * SIMULATION_STEP_SECONDS;
+    const scanRate = this.attackValue('infectionRate', WORM_ATTACK.infectionRate);
+    const floodRate = this.attackValue('floodRate', WORM_ATTACK.floodRate) * intensity / 100;
     
-    // Update metrics
-    this.updateMetrics();
+    this.clients.forEach(node => {
+      if (node.infection !== 'patched' && this.rng.next() < patchChance) {
+        this.patch(node);
+        return;
+      }
+      if (node.infection !== 'infected') return;
+      
+      // Infected clients pick random peers to exploit; bots that got the order also flood the target
+      const credit = this.wormCredit.get(node.id) || { scan: 0, flood: 0 };
+      credit.scan += scanRate * SIMULATION_STEP_SECONDS;
+      while (credit.scan >= 1) {
+        credit.scan--;
+        const peer = this.rng.choice(this.clients.filter(other => other !== node));
+        if (peer) this.sendWorm(node, peer, 'exploit');
+      }
+      
+      if (node.flooding && this.target) {
+        credit.flood += floodRate * SIMULATION_STEP_SECONDS;
+        while (credit.flood >= 1) {
+          credit.flood--;
+          this.metrics.floodPackets++;
+          this.createPacket(node, this.target, 'attack', 2, { payload: 'HTTP GET / (bot flood)' });
+        }
+      }
+      this.wormCredit.set(node.id, credit);
+    });
   }
 
-  generatePackets(intensity) {
-    // Override in subclasses
+  // kind: 'exploit' (to a peer), 'checkin' (bot to C2) or 'command' (C2 to bot)
+  sendWorm(source, destination, kind) {
+    const packets = {
+      exploit: { port: 445, payload: 'SMB exploit (worm payload)' },
+      checkin: { port: 6667, payload: 'IRC JOIN #botnet' },
+      command: { port: 6667, sourcePort: 6667, payload: `IRC PRIVMSG #botnet :!flood ${this.target ? this.target.ip : ''}` }
+    };
+    this.createPacket(source, destination, 'attack', 1.5, { ...packets[kind], worm: kind });
   }
 
-  updateMetrics() {
-    // Override in subclasses
+  buildHeaders(packet, options) {
+    const headers = super.buildHeaders(packet, options);
+    if (options.worm) {
+      headers.application.worm = options.worm;
+    }
+    return headers;
   }
 
-  render(ctx) {
-    // Draw connections
-    this.renderConnections(ctx);
-    
-    // Draw nodes
-    this.nodes.forEach(node => node.draw(ctx, this.time));
+  deliverPacket(packet) {
+    super.deliverPacket(packet);
     
-    // Draw packets
-    this.packets.forEach(packet => packet.draw(ctx));
+    const node = packet.destination;
+    switch (packet.headers.application.worm) {
+      case 'exploit':
+        // Patched clients are immune; infected ones are already running the worm
+        if (node.infection === 'susceptible') {
+          node.infection = 'infected';
+          this.metrics.infections++;
+          this.sendWorm(node, this.c2, 'checkin');
+        }
+        break;
+      case 'checkin':
+        this.recruit(packet.origin);
+        break;
+      case 'command':
+        if (node.infection === 'infected') {
+          node.flooding = true;
+        }
+        break;
+    }
   }
 
-  renderConnections(ctx) {
-    ctx.strokeStyle = Colors.withAlpha(Colors.get('text'), 0.1);
-    ctx.lineWidth = 1;
+  // Bots that check in after the flood started are ordered to join it straight away
+  recruit(bot) {
+    if (bot.infection !== 'infected' || this.botnet.has(bot)) return;
+    this.botnet.add(bot);
     
-    this.nodes.forEach(node => {
-      node.connections.forEach(targetId => {
-        const target = this.nodes.find(n => n.id === targetId);
-        if (target) {
-          ctx.beginPath();
-          ctx.moveTo(node.x, node.y);
-          ctx.lineTo(target.x, target.y);
-          ctx.stroke();
-        }
-      });
-    });
+    if (this.ddosStartedAt !== null) {
+      this.sendWorm(this.c2, bot, 'command');
+    } else if (this.botnet.size >= this.attackValue('ddosThreshold', WORM_ATTACK.ddosThreshold)) {
+      this.ddosStartedAt = this.time;
+      this.botnet.forEach(member => this.sendWorm(this.c2, member, 'command'));
+    }
   }
 
-  createPacket(source, target, type, speed) {
-    const packet = new Packet(
-      this.packetIdCounter++,
-      source,
-      target,
-      type,
-      speed
-    );
-    this.packets.push(packet);
-    this.metrics.packetsSent++;
-    return packet;
+  // Patching removes the worm, so the bot leaves the botnet
+  patch(node) {
+    node.infection = 'patched';
+    node.flooding = false;
+    this.botnet.delete(node);
   }
 
-  getMetrics() {
-    return { ...this.metrics };
+  updateMetrics() {
+    super.updateMetrics();
+    ['susceptible', 'infected', 'patched'].forEach(state => {
+      this.metrics[state] = this.clients.filter(node => node.infection === state).length;
+    });
+    this.metrics.botnetSize = this.botnet.size;
+  }
+
+  describeState() {
+    if (!this.c2) return null;
+    
+    const threshold = this.attackValue('ddosThreshold', WORM_ATTACK.ddosThreshold);
+    const flooding = this.clients.filter(node => node.flooding).length;
+    return {
+      title: 'Botnet',
+      rows: this.ddosStartedAt === null ?
+        [['Status', `recruiting · ${this.botnet.size}/${threshold} bots`]] :
+        [
+          ['Status', `flooding since ${(this.ddosStartedAt / 1000).toFixed(1)}s`, 'tampered'],
+          ['Bots flooding', `${flooding}`]
+        ]
+    };
   }
 }
 
-// DDoS Attack Simulation
-class DDoSAttack extends AttackSimulation {
+// Parameters of the ARP spoofing engine when the scenario leaves them out
+const ARP_SPOOF_DEFENSE = {
+  staticArp: false, // hosts pin every address to its real MAC and ignore ARP replies
+  dynamicArpInspection: false, // the switch drops ARP replies that contradict its DHCP snooping bindings
+  portSecurity: false // the switch drops frames whose source MAC is not the one attached to their port
+};
+const ARP_SPOOF_ATTACK = {
+  technique: 'arp-poisoning', // or 'mac-flooding'
+  poisonInterval: 2000, // ms between rounds of forged replies at 100% intensity
+  macFloodRate: 150 // junk frames per second at 100% intensity
+};
+const ARP_CACHE_TTL_MS = 15000; // hosts ask again for an address once its entry is this old
+const ARP_REQUEST_TIMEOUT_MS = 3000;
+const CAM_CAPACITY = 64; // MAC addresses the switch's forwarding table holds
+const CAM_AGING_MS = 10000;
+const BROADCAST_MAC = 'ff:ff:ff:ff:ff:ff';
+
+// ARP Spoofing Simulation
+// Hosts (clients and servers) share a switched LAN. Every host keeps an ARP cache and addresses its
+// frames to the MAC the cache holds; the switch forwards frames by destination MAC using a table learned
+// from source MACs. The attacker either poisons the caches with forged replies, so traffic between the
+// clients and the first server flows through it, or floods the switch's table with random MACs, so
+// frames for hosts that dropped out of the table are flooded to its port as well.
+class ArpSpoofAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
+    
+    Object.assign(this.metrics, {
+      poisonedEntries: 0,
+      forgedReplies: 0,
+      interceptedPackets: 0,
+      eavesdroppedFrames: 0,
+      daiBlocks: 0,
+      portSecurityBlocks: 0
+    });
+    this.metricLabels = {
+      poisonedEntries: 'Poisoned cache entries',
+      forgedReplies: 'Forged ARP replies',
+      interceptedPackets: 'Packets relayed by attacker',
+      eavesdroppedFrames: 'Flooded frames seen by attacker',
+      daiBlocks: 'Blocked by ARP inspection',
+      portSecurityBlocks: 'Blocked by port security'
+    };
+    this.nextPoison = 0;
+    this.floodCredit = 0;
+  }
+
   initialize() {
-    // Create server in center
-    const serverNode = new Node(
-      'server',
-      'server',
-      this.canvasWidth / 2,
-      this.canvasHeight / 2,
-      40
-    );
-    this.nodes.push(serverNode);
+    super.initialize();
     
-    // Create attacker nodes in a circle
-    const attackerCount = this.scenario.attackers;
-    const radius = Math.min(this.canvasWidth, this.canvasHeight) * 0.35;
+    this.switch = this.nodes.find(node => node.type === 'switch') || null;
+    this.attacker = this.nodes.find(node => node.type === 'attacker') || null;
+    this.hosts = this.nodes.filter(node => node.type === 'client' || node.type === 'server');
     
-    for (let i = 0; i < attackerCount; i++) {
-      const angle = (i / attackerCount) * Math.PI * 2;
-      const x = this.canvasWidth / 2 + Math.cos(angle) * radius;
-      const y = this.canvasHeight / 2 + Math.sin(angle) * radius;
-      
-      const attacker = new Node(`attacker-${i}`, 'attacker', x, y, 15);
-      attacker.connections.push('server');
-      this.nodes.push(attacker);
+    // DHCP snooping bindings: the switch's record of the MAC that leased each address
+    this.bindings = new Map(this.nodes.map(node => [node.ip, node.mac]));
+    
+    // Hosts start out having resolved one another; entry ages are staggered so refreshes spread out
+    this.hosts.forEach(host => {
+      host.arpCache = new Map();
+      host.arpPending = new Set();
+      this.hosts.forEach(other => {
+        if (other !== host) {
+          host.arpCache.set(other.ip, { mac: other.mac, updated: -this.rng.range(0, ARP_CACHE_TTL_MS) });
+        }
+      });
+    });
+    
+    // MAC -> { port, seen }, oldest first
+    if (this.switch) {
+      this.switch.camTable = new Map();
     }
   }
 
   generatePackets(intensity) {
-    const serverNode = this.nodes.find(n => n.id === 'server');
-    const attackers = this.nodes.filter(n => n.type === 'attacker');
+    super.generatePackets(intensity);
+    if (!this.switch) return;
     
-    // Generate attack packets based on intensity
-    const packetsThisFrame = (intensity / 100) * this.scenario.packetsPerSecond * 0.016; // 60fps
+    this.refreshArpCaches();
+    if (!this.attacker || intensity <= 0) return;
     
-    for (let i = 0; i < packetsThisFrame; i++) {
-      if (this.rng.next() < 0.5) {
-        const attacker = this.rng.choice(attackers);
-        this.createPacket(attacker, serverNode, 'attack', 2);
+    if (this.attackValue('technique', ARP_SPOOF_ATTACK.technique) === 'mac-flooding') {
+      this.floodCredit += this.attackValue('macFloodRate', ARP_SPOOF_ATTACK.macFloodRate) * intensity / 100 * SIMULATION_STEP_SECONDS;
+      while (this.floodCredit >= 1) {
+        this.floodCredit--;
+        this.createPacket(this.attacker, this.switch, 'attack', 2, {
+          protocol: 'udp',
+          port: 9,
+          payload: 'Junk frame (random source MAC)',
+          sourceMac: this.randomMac(),
+          destinationMac: this.switch.mac
+        });
       }
+    } else if (this.time >= this.nextPoison) {
+      this.poison();
+      this.nextPoison = this.time + this.attackValue('poisonInterval', ARP_SPOOF_ATTACK.poisonInterval) * 100 / intensity;
     }
   }
 
-  updateMetrics() {
-    const activePackets = this.packets.filter(p => p.active).length;
-    this.metrics.serverLoad = Math.min(100, (activePackets / 50) * 100);
+  // Hosts ask for addresses whose entries have grown old; static entries never do
+  refreshArpCaches() {
+    if (this.defenseValue('staticArp', ARP_SPOOF_DEFENSE.staticArp)) return;
     
-    // Calculate latency based on load
-    this.metrics.latency = Math.floor(10 + (this.metrics.serverLoad / 100) * 500);
-    
-    // Some packets get dropped when overloaded
-    if (this.metrics.serverLoad > 80) {
-      this.packets.forEach(packet => {
-        if (packet.active && packet.progress > 0.9 && this.rng.next() < 0.3) {
-          packet.active = false;
-          this.metrics.packetsDropped++;
-        }
+    this.hosts.forEach(host => {
+      host.arpCache.forEach((entry, ip) => {
+        if (this.time - entry.updated < ARP_CACHE_TTL_MS || host.arpPending.has(ip)) return;
+        
+        const owner = this.nodes.find(node => node.ip === ip);
+        host.arpPending.add(ip);
+        this.schedule(ARP_REQUEST_TIMEOUT_MS, () => host.arpPending.delete(ip));
+        this.sendArp(host, owner, 'normal', BROADCAST_MAC, {
+          operation: 'request', senderMac: host.mac, senderIp: host.ip, targetMac: null, targetIp: ip
+        });
       });
-    } else {
-      // Packets arrive at server
-      this.packets.forEach(packet => {
-        if (!packet.active && packet.progress >= 1) {
-          this.metrics.packetsReceived++;
-        }
+    });
+  }
+
+  // Tell every client that the server's address is at the attacker's MAC, and the server the same of
+  // every client (or every host the same of every other host when there is no server)
+  poison() {
+    const server = this.hosts.find(host => host.type === 'server');
+    const pairs = server ?
+      this.hosts.filter(host => host !== server).flatMap(client => [[client, server], [server, client]]) :
+      this.hosts.flatMap(victim => this.hosts.filter(host => host !== victim).map(host => [victim, host]));
+    
+    pairs.forEach(([victim, impersonated]) => {
+      this.metrics.forgedReplies++;
+      this.sendArp(this.attacker, victim, 'attack', victim.mac, {
+        operation: 'reply', senderMac: this.attacker.mac, senderIp: impersonated.ip, targetMac: victim.mac, targetIp: victim.ip
       });
+    });
+  }
+
+  sendArp(source, destination, type, destinationMac, arp) {
+    const summary = arp.operation === 'request' ? `Who has ${arp.targetIp}? Tell ${arp.senderIp}` : `${arp.senderIp} is at ${arp.senderMac}`;
+    this.createPacket(source, destination, type, 1.5, { arp, destinationMac, payload: `ARP ${summary}` });
+  }
+
+  // Random locally administered MAC address
+  randomMac() {
+    const bytes = [0x02, ...Array.from({ length: 5 }, () => this.rng.int(0, 255))];
+    return bytes.map(byte => byte.toString(16).padStart(2, '0')).join(':');
+  }
+
+  // Frames are addressed to the MAC in the sender's ARP cache, and keep their addresses across the switch
+  buildHeaders(packet, options) {
+    const ethernet = {
+      source: options.sourceMac || packet.origin.mac,
+      destination: options.destinationMac
+    };
+    if (options.arp) {
+      return { ethernet, arp: options.arp, application: { summary: options.payload } };
+    }
+    
+    const headers = super.buildHeaders(packet, options);
+    if (!ethernet.destination) {
+      ethernet.destination = this.resolve(packet.origin, headers.ip.destination);
     }
+    headers.ethernet = ethernet;
+    return headers;
   }
-}
 
-// MITM Attack Simulation
-class MITMAttack extends AttackSimulation {
-  initialize() {
-    // Create two clients
-    const client1 = new Node('client1', 'client', this.canvasWidth * 0.25, this.canvasHeight / 2, 25);
-    const client2 = new Node('client2', 'client', this.canvasWidth * 0.75, this.canvasHeight / 2, 25);
+  resolve(host, ip) {
+    const entry = host.arpCache && !this.defenseValue('staticArp', ARP_SPOOF_DEFENSE.staticArp) ? host.arpCache.get(ip) : null;
+    return entry ? entry.mac : this.bindings.get(ip);
+  }
+
+  // The switch forwards frames by destination MAC without changing them
+  handleArrival(packet) {
+    const node = packet.target;
+    if (node !== this.switch) {
+      super.handleArrival(packet);
+      return;
+    }
+    
+    const port = packet.source;
+    const { ethernet, arp } = packet.headers;
+    
+    if (this.defenseValue('portSecurity', ARP_SPOOF_DEFENSE.portSecurity) && ethernet.source !== port.mac) {
+      this.metrics.portSecurityBlocks++;
+      this.blockPacket(packet, 'port security');
+      return;
+    }
+    if (arp && arp.operation === 'reply' && this.defenseValue('dynamicArpInspection', ARP_SPOOF_DEFENSE.dynamicArpInspection) &&
+      this.bindings.get(arp.senderIp) !== arp.senderMac) {
+      this.metrics.daiBlocks++;
+      this.blockPacket(packet, 'dynamic ARP inspection');
+      return;
+    }
     
-    // Create attacker in the middle
-    const attacker = new Node('attacker', 'attacker', this.canvasWidth / 2, this.canvasHeight / 2, 30);
+    this.learn(ethernet.source, port);
+    if (packet.destination === node) {
+      this.receivePacket(packet, node);
+      return;
+    }
     
-    // Set up connections
-    client1.connections.push('attacker');
-    attacker.connections.push('client1', 'client2');
-    client2.connections.push('attacker');
+    // Broadcasts and frames for unknown MACs go out of every port; only the copies that reach the
+    // addressed host and the attacker are simulated (the other hosts' network cards discard theirs)
+    let next = packet.destination;
+    if (ethernet.destination !== BROADCAST_MAC) {
+      const entry = this.switch.camTable.get(ethernet.destination);
+      if (entry && this.time - entry.seen < CAM_AGING_MS) {
+        next = entry.port;
+      } else {
+        next = this.nodes.find(other => other.mac === ethernet.destination) || next;
+        if (this.attacker && this.attacker !== port && this.attacker !== next) {
+          this.floodCopy(packet);
+        }
+      }
+    }
     
-    this.nodes.push(client1, attacker, client2);
+    packet.destination = next;
+    packet.bridge(next);
+    this.record('forward', packet);
   }
 
-  generatePackets(intensity) {
-    const client1 = this.nodes.find(n => n.id === 'client1');
-    const client2 = this.nodes.find(n => n.id === 'client2');
-    const attacker = this.nodes.find(n => n.id === 'attacker');
-    
-    const packetsThisFrame = (intensity / 100) * this.scenario.packetsPerSecond * 0.016;
-    
-    for (let i = 0; i < packetsThisFrame; i++) {
-      if (this.rng.next() < 0.5) {
-        // Client 1 to Client 2 (through attacker)
-        if (this.rng.next() < 0.5) {
-          this.createPacket(client1, attacker, 'normal', 1.5);
-          // Attacker forwards to client2 after a delay
-          setTimeout(() => {
-            if (attacker && client2) {
-              this.createPacket(attacker, client2, 'attack', 1.5);
-            }
-          }, 500);
-        } else {
-          // Client 2 to Client 1 (through attacker)
-          this.createPacket(client2, attacker, 'normal', 1.5);
-          setTimeout(() => {
-            if (attacker && client1) {
-              this.createPacket(attacker, client1, 'attack', 1.5);
-            }
-          }, 500);
-        }
+  // Remember the port behind a source MAC; a full table drops its oldest entry to make room
+  learn(mac, port) {
+    const table = this.switch.camTable;
+    table.delete(mac);
+    if (table.size >= CAM_CAPACITY) {
+      table.delete(table.keys().next().value);
+    }
+    table.set(mac, { port, seen: this.time });
+  }
+
+  // The copy of a flooded frame that leaves through the attacker's port (if it is attached to the switch)
+  floodCopy(packet) {
+    if (this.router.nextHop(this.switch, this.attacker) !== this.attacker.id) return;
+    
+    const copy = new Packet(this.packetIdCounter++, this.switch, this.attacker, 'attack', packet.speed);
+    copy.headers = packet.headers;
+    this.packets.push(copy);
+    this.record('create', copy);
+  }
+
+  // ARP is handled by the network stack, ahead of any application queue; the attacker passes on
+  // traffic that reached it only because of a poisoned cache
+  receivePacket(packet, node) {
+    const { ethernet, ip, arp } = packet.headers;
+    if (arp) {
+      this.deliverPacket(packet);
+    } else if (node === this.attacker && ethernet.destination === node.mac && ip.destination !== node.ip) {
+      this.relay(packet);
+    } else {
+      super.receivePacket(packet, node);
+    }
+  }
+
+  deliverPacket(packet) {
+    super.deliverPacket(packet);
+    
+    const node = packet.destination;
+    const { ethernet, arp } = packet.headers;
+    if (arp) {
+      this.receiveArp(node, arp, packet);
+    } else if (node === this.attacker && ethernet.destination !== node.mac) {
+      this.metrics.eavesdroppedFrames++;
+    }
+  }
+
+  // Hosts answer requests for their own address and believe every reply, asked for or not
+  receiveArp(node, arp, packet) {
+    if (arp.operation === 'request') {
+      if (node.ip === arp.targetIp) {
+        this.sendArp(node, packet.origin, 'normal', arp.senderMac, {
+          operation: 'reply', senderMac: node.mac, senderIp: node.ip, targetMac: arp.senderMac, targetIp: arp.senderIp
+        });
       }
+      return;
+    }
+    
+    if (!node.arpCache || node.ip !== arp.targetIp || this.defenseValue('staticArp', ARP_SPOOF_DEFENSE.staticArp)) return;
+    node.arpPending.delete(arp.senderIp);
+    node.arpCache.set(arp.senderIp, { mac: arp.senderMac, updated: this.time });
+  }
+
+  // Traffic sent to the attacker's MAC is read, altered and sent on to the real owner of its address
+  relay(packet) {
+    const owner = this.nodes.find(node => node.ip === packet.headers.ip.destination);
+    const nextHop = owner && this.router.nextHop(this.attacker, owner);
+    if (!nextHop) {
+      this.dropPacket(packet, 'no route');
+      return;
     }
+    
+    this.metrics.interceptedPackets++;
+    packet.type = 'attack';
+    packet.rewriteHeaders({
+      application: { summary: `${packet.headers.application.summary} (altered)`, tamperedBy: this.attacker.id }
+    });
+    this.record('intercept', packet);
+    
+    packet.destination = owner;
+    packet.forward(this.findNode(nextHop));
+    packet.rewriteHeaders({ ethernet: { destination: owner.mac } });
+    this.record('forward', packet);
+  }
+
+  // Entries currently pointing at the wrong MAC (none while static entries are in force)
+  isPoisoned(ip, entry) {
+    return !this.defenseValue('staticArp', ARP_SPOOF_DEFENSE.staticArp) && entry.mac !== this.bindings.get(ip);
   }
 
   updateMetrics() {
-    const activePackets = this.packets.filter(p => p.active).length;
-    this.metrics.serverLoad = Math.min(100, (activePackets / 20) * 100);
-    this.metrics.latency = Math.floor(150 + this.rng.range(0, 100));
+    super.updateMetrics();
+    this.metrics.poisonedEntries = this.hosts.reduce((sum, host) =>
+      sum + [...host.arpCache].filter(([ip, entry]) => this.isPoisoned(ip, entry)).length, 0);
+  }
+
+  describeState() {
+    if (!this.switch) return null;
     
-    this.packets.forEach(packet => {
-      if (!packet.active && packet.progress >= 1) {
-        this.metrics.packetsReceived++;
-      }
+    const names = new Map(this.nodes.map(node => [node.mac, node.id]));
+    const rows = this.hosts.map(host => {
+      const poisoned = [...host.arpCache]
+        .filter(([ip, entry]) => this.isPoisoned(ip, entry))
+        .map(([ip, entry]) => `${names.get(this.bindings.get(ip))} → ${names.get(entry.mac) || entry.mac}`);
+      return poisoned.length > 0 ? [host.id, poisoned.join(', '), 'tampered'] : [host.id, 'clean'];
     });
+    rows.push(['Switch table', `${this.switch.camTable.size}/${CAM_CAPACITY} MACs`]);
+    return { title: 'ARP caches', rows };
   }
 }
 
-// Firewall Defense Simulation
-class FirewallAttack extends AttackSimulation {
-  initialize() {
-    // Create server on the right
-    const server = new Node('server', 'server', this.canvasWidth * 0.75, this.canvasHeight / 2, 35);
+// Parameters of the man-in-the-middle engine when the scenario leaves them out
+const MITM_DEFENSE = {
+  protocol: 'http' // what clients speak: 'http', 'tls', 'tls-clickthrough' or 'hsts'
+};
+const MITM_ATTACK = {
+  technique: 'resign', // 'strip' (keep clients on plain HTTP) or 'resign' (present a forged certificate)
+  modify: true // rewrite the payloads the attacker can read, rather than only reading them
+};
+
+// What each technique achieves against each client protocol: 'read' (the attacker sees the plaintext),
+// 'abort' (the client refuses the connection) or 'encrypted' (the attacker can only relay ciphertext)
+const MITM_OUTCOMES = {
+  http: { strip: 'read', resign: 'read' },
+  tls: { strip: 'read', resign: 'abort' }, // the first request of a visit still goes out over HTTP
+  'tls-clickthrough': { strip: 'read', resign: 'read' }, // the user accepts the certificate warning
+  hsts: { strip: 'encrypted', resign: 'abort' } // the browser never uses HTTP and checks the pinned key
+};
+const MITM_REQUEST = 'GET /account (session cookie)';
+
+// Man-in-the-Middle Simulation
+// Every packet between the clients is a request on its own connection, and the attacker sits on the
+// path. Depending on the protocol the clients use, stripping or re-signing gives the attacker the
+// plaintext (which it may then alter), makes the client abort the connection, or gets it nothing.
+class MitmAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
     
-    // Create firewall in the middle
-    const firewall = new Node('firewall', 'firewall', this.canvasWidth / 2, this.canvasHeight / 2, 30);
-    firewall.connections.push('server');
+    Object.assign(this.metrics, {
+      readablePayloads: 0,
+      modifiedPayloads: 0,
+      strippedConnections: 0,
+      abortedConnections: 0,
+      encryptedPayloads: 0
+    });
+    this.metricLabels = {
+      readablePayloads: 'Payloads read by attacker',
+      modifiedPayloads: 'Payloads modified',
+      strippedConnections: 'Connections downgraded to HTTP',
+      abortedConnections: 'Connections aborted by client',
+      encryptedPayloads: 'Payloads kept encrypted'
+    };
+    this.lastSeen = null;
+  }
+
+  get protocol() {
+    const protocol = this.defenseValue('protocol', MITM_DEFENSE.protocol);
+    return MITM_OUTCOMES[protocol] ? protocol : MITM_DEFENSE.protocol;
+  }
+
+  get technique() {
+    return this.attackValue('technique', MITM_ATTACK.technique) === 'strip' ? 'strip' : 'resign';
+  }
+
+  // Client traffic uses the chosen protocol; TLS payloads are only visible to the endpoints
+  buildHeaders(packet, options) {
+    const protocol = this.protocol;
+    if (packet.type !== 'normal') return super.buildHeaders(packet, options);
+    if (protocol === 'http') return super.buildHeaders(packet, { ...options, port: 80, payload: `HTTP ${MITM_REQUEST}` });
     
-    this.nodes.push(server, firewall);
+    const headers = super.buildHeaders(packet, { ...options, port: 443, payload: 'TLS application data (encrypted)' });
+    headers.application.tls = { mode: protocol, certificate: 'genuine' };
+    return headers;
+  }
+
+  inspectTransit(packet, node) {
+    if (node.type !== 'attacker' || packet.type !== 'normal') return true;
     
-    // Create mix of attackers and legitimate clients on the left
-    const totalNodes = this.scenario.attackers + this.scenario.legitimateClients;
+    const tls = packet.headers.application.tls;
+    const outcome = tls ? MITM_OUTCOMES[tls.mode][this.technique] : 'read';
     
-    for (let i = 0; i < totalNodes; i++) {
-      const isAttacker = i < this.scenario.attackers;
-      const x = this.canvasWidth * 0.15 + this.rng.range(-50, 50);
-      const y = (i / totalNodes) * this.canvasHeight * 0.8 + this.canvasHeight * 0.1;
-      
-      const node = new Node(
-        `node-${i}`,
-        isAttacker ? 'attacker' : 'client',
-        x,
-        y,
-        15
-      );
-      node.connections.push('firewall');
-      this.nodes.push(node);
+    if (outcome === 'abort') {
+      this.metrics.abortedConnections++;
+      this.blockPacket(packet, tls.mode === 'hsts' ? 'certificate pin mismatch' : 'certificate not trusted');
+      return false;
+    }
+    if (outcome === 'encrypted') {
+      this.metrics.encryptedPayloads++;
+      return true;
     }
-  }
-
-  generatePackets(intensity) {
-    const firewall = this.nodes.find(n => n.id === 'firewall');
-    const server = this.nodes.find(n => n.id === 'server');
-    const clients = this.nodes.filter(n => n.type === 'client' || n.type === 'attacker');
     
-    const packetsThisFrame = (intensity / 100) * this.scenario.packetsPerSecond * 0.016;
+    // Stripping keeps the client on HTTP; re-signing decrypts with the attacker's certificate
+    let summary = `HTTP ${MITM_REQUEST}`;
+    if (tls && this.technique === 'strip') {
+      this.metrics.strippedConnections++;
+      summary = `${summary} (HTTPS stripped)`;
+      packet.rewriteHeaders({ transport: { destinationPort: 80 }, application: { tls: null } });
+    } else if (tls) {
+      packet.rewriteHeaders({ application: { tls: { ...tls, certificate: 'forged' } } });
+    }
     
-    for (let i = 0; i < packetsThisFrame; i++) {
-      if (this.rng.next() < 0.5) {
-        const client = this.rng.choice(clients);
-        const isAttack = client.type === 'attacker';
-        const packetType = isAttack ? 'attack' : 'normal';
-        
-        // Send to firewall first
-        const packet = this.createPacket(client, firewall, packetType, 1.5);
-        
-        // Firewall decides whether to block or forward
-        setTimeout(() => {
-          if (isAttack && this.rng.next() < this.scenario.blockRate) {
-            // Block attack packet
-            packet.type = 'blocked';
-            packet.active = false;
-            this.metrics.packetsBlocked++;
-          } else {
-            // Forward to server
-            if (firewall && server) {
-              this.createPacket(firewall, server, packetType, 1.5);
-            }
-          }
-        }, 500);
-      }
+    this.metrics.readablePayloads++;
+    this.lastSeen = summary;
+    if (this.attackValue('modify', MITM_ATTACK.modify)) {
+      this.metrics.modifiedPayloads++;
+      packet.type = 'attack';
+      packet.rewriteHeaders({ application: { summary: `${summary} (altered)`, tamperedBy: node.id } });
+    } else {
+      packet.type = 'exposed';
+      packet.rewriteHeaders({ application: { summary } });
     }
+    this.record('intercept', packet);
+    return true;
   }
 
-  updateMetrics() {
-    const activePackets = this.packets.filter(p => p.active).length;
-    this.metrics.serverLoad = Math.min(100, (activePackets / 30) * 100);
-    this.metrics.latency = Math.floor(50 + (this.metrics.serverLoad / 100) * 200);
+  describeState() {
+    const outcome = MITM_OUTCOMES[this.protocol][this.technique];
+    const results = {
+      read: [this.attackValue('modify', MITM_ATTACK.modify) ? 'payloads read and altered' : 'payloads read', 'tampered'],
+      abort: ['clients abort the connection'],
+      encrypted: ['only ciphertext relayed']
+    };
+    return {
+      title: 'Interception',
+      rows: [
+        ['Clients use', this.protocol],
+        ['Attacker tries', this.technique === 'strip' ? 'HTTPS stripping' : 'forged certificate'],
+        ['Result', ...results[outcome]],
+        ['Last plaintext seen', this.lastSeen || 'none']
+      ]
+    };
+  }
+}
+
+// Parameters of the amplification engine when the scenario leaves them out
+const AMPLIFICATION_DEFENSE = {
+  bcp38: false, // the attacker's provider drops packets from its customers with source addresses they do not own
+  responseRateLimit: false, // reflectors answer each address at most `rrlRate` times per second
+  rrlRate: 1,
+  victimBandwidth: 500000 // bytes per second the victim's link carries
+};
+const AMPLIFICATION_ATTACK = {
+  protocol: 'all', // reflectors the attacker uses: 'dns', 'ntp', 'memcached' or 'all'
+  requestRate: 30 // spoofed requests per second at 100% intensity
+};
+
+// Services open reflectors run (identified by the port of the traffic addressed to them), with the UDP
+// payload size of the attacker's request and the factor by which the response is larger
+const AMPLIFIERS = {
+  dns: { name: 'DNS', port: 53, request: 'DNS ANY isc.org', requestSize: 64, response: 'DNS ANY response', factor: 50 },
+  ntp: { name: 'NTP', port: 123, request: 'NTP monlist', requestSize: 8, response: 'NTP monlist (600 peers)', factor: 556 },
+  memcached: { name: 'memcached', port: 11211, request: 'memcached stats', requestSize: 15, response: 'memcached STAT dump', factor: 10000 }
+};
+
+// Amplification Attack Simulation
+// Attackers send small requests whose source address is forged to be the victim's to open reflectors,
+// which send their much larger responses to the victim. The victim's link is loaded by bandwidth, so a
+// few requests to a service with a large amplification factor can saturate it. The attack can be
+// stopped where it starts, by the provider of the attacker's network (the first firewall) dropping
+// spoofed packets, or at the reflectors, by limiting the responses each address gets.
+class AmplificationAttack extends AttackSimulation {
+  constructor(scenario, rng, canvasWidth, canvasHeight) {
+    super(scenario, rng, canvasWidth, canvasHeight);
     
-    this.packets.forEach(packet => {
-      if (!packet.active && packet.progress >= 1 && packet.type !== 'blocked') {
-        this.metrics.packetsReceived++;
-      }
+    Object.assign(this.metrics, {
+      victimBandwidth: 0,
+      amplification: 0,
+      spoofedRequests: 0,
+      bcp38Blocks: 0,
+      rateLimitedResponses: 0,
+      linkDrops: 0
     });
+    this.metricLabels = {
+      victimBandwidth: 'Traffic at victim (KB/s)',
+      amplification: 'Amplification achieved (×)',
+      spoofedRequests: 'Spoofed requests sent',
+      bcp38Blocks: 'Blocked by egress filtering',
+      rateLimitedResponses: 'Responses rate limited',
+      linkDrops: 'Dropped on saturated link'
+    };
+    this.chartSeries = [
+      { key: 'victimBandwidth', label: 'Victim KB/s', color: 'attacker' }
+    ];
+    this.requestCredit = 0;
+    this.attackBytesSent = 0;
+    this.attackBytesReceived = 0;
+    this.arrivals = []; // { time, bytes } offered to the victim's link in the last second
+    this.carried = []; // { time, bytes } of those that fit on it
+    this.limiters = new Map(); // reflector id -> TokenBuckets keyed by requester address
   }
-}
 
-// ARP Spoofing Simulation
-class ARPSpoofAttack extends AttackSimulation {
   initialize() {
-    // Create network nodes in a grid
-    const gridSize = Math.ceil(Math.sqrt(this.scenario.nodes));
-    const spacing = Math.min(this.canvasWidth, this.canvasHeight) * 0.7 / gridSize;
-    const offsetX = (this.canvasWidth - spacing * gridSize) / 2;
-    const offsetY = (this.canvasHeight - spacing * gridSize) / 2;
-    
-    for (let i = 0; i < this.scenario.nodes; i++) {
-      const row = Math.floor(i / gridSize);
-      const col = i % gridSize;
-      const x = offsetX + col * spacing + spacing / 2;
-      const y = offsetY + row * spacing + spacing / 2;
-      
-      const node = new Node(`node-${i}`, 'client', x, y, 20);
-      this.nodes.push(node);
-    }
-    
-    // Create attacker node
-    const attacker = new Node(
-      'attacker',
-      'attacker',
-      this.canvasWidth / 2,
-      this.canvasHeight / 2,
-      25
-    );
-    this.nodes.push(attacker);
+    super.initialize();
     
-    // Set up connections (mesh network)
-    this.nodes.forEach(node => {
-      if (node.type !== 'attacker') {
-        node.connections.push('attacker');
-      }
+    this.provider = this.nodes.find(node => node.type === 'firewall') || null;
+    this.attackers = this.nodes.filter(node => node.type === 'attacker');
+    this.reflectors = this.nodes.filter(node => node.queue && node.type === 'server');
+    this.reflectors.forEach(node => {
+      const source = this.scenario.traffic.find(traffic => this.selectNodes(traffic.to).includes(node));
+      node.service = Object.keys(AMPLIFIERS).find(key => AMPLIFIERS[key].port === source.port) || null;
     });
+    this.reflectors = this.reflectors.filter(node => node.service);
+    this.victim = this.nodes.find(node => node.type === 'server' && !node.queue) || null;
   }
 
   generatePackets(intensity) {
-    const attacker = this.nodes.find(n => n.id === 'attacker');
-    const clients = this.nodes.filter(n => n.type === 'client');
+    super.generatePackets(intensity);
+    if (!this.victim || this.attackers.length === 0) return;
     
-    const packetsThisFrame = (intensity / 100) * this.scenario.packetsPerSecond * 0.016;
+    const protocol = this.attackValue('protocol', AMPLIFICATION_ATTACK.protocol);
+    const reflectors = this.reflectors.filter(node => protocol === 'all' || node.service === protocol);
+    if (reflectors.length === 0) return;
     
-    for (let i = 0; i < packetsThisFrame; i++) {
-      if (this.rng.next() < 0.3) {
-        // Normal traffic between nodes
-        const source = this.rng.choice(clients);
-        const target = this.rng.choice(clients.filter(c => c.id !== source.id));
-        
-        if (target) {
-          // Traffic gets rerouted through attacker
-          this.createPacket(source, attacker, 'normal', 1);
-          setTimeout(() => {
-            if (attacker && target) {
-              this.createPacket(attacker, target, 'attack', 1);
-            }
-          }, 400);
-        }
-      } else if (this.rng.next() < 0.5) {
-        // ARP spoof packets from attacker
-        const target = this.rng.choice(clients);
-        this.createPacket(attacker, target, 'attack', 2);
-      }
+    this.requestCredit += this.attackValue('requestRate', AMPLIFICATION_ATTACK.requestRate) * intensity / 100 * SIMULATION_STEP_SECONDS;
+    while (this.requestCredit >= 1) {
+      this.requestCredit--;
+      const reflector = this.rng.choice(reflectors);
+      const amplifier = AMPLIFIERS[reflector.service];
+      this.metrics.spoofedRequests++;
+      this.attackBytesSent += amplifier.requestSize;
+      this.createPacket(this.rng.choice(this.attackers), reflector, 'attack', 2, {
+        protocol: 'udp',
+        port: amplifier.port,
+        payload: amplifier.request,
+        size: amplifier.requestSize,
+        sourceAddress: this.victim.ip
+      });
+    }
+  }
+
+  // Ingress filtering on the provider's customer ports (BCP 38): the clients and attackers it connects
+  // may only send from their own addresses
+  inspectTransit(packet, node) {
+    const customer = packet.source.type === 'client' || packet.source.type === 'attacker';
+    if (node === this.provider && customer && this.defenseValue('bcp38', AMPLIFICATION_DEFENSE.bcp38) &&
+        packet.headers.ip.source !== packet.source.ip) {
+      this.metrics.bcp38Blocks++;
+      this.blockPacket(packet, 'spoofed source (BCP 38)');
+      return false;
+    }
+    return super.inspectTransit(packet, node);
+  }
+
+  receivePacket(packet, node) {
+    if (node !== this.victim) {
+      super.receivePacket(packet, node);
+      return;
+    }
+    
+    // The victim's link carries `victimBandwidth` bytes per second; whatever does not fit is lost
+    const bytes = packet.headers.ip.length;
+    const capacity = this.defenseValue('victimBandwidth', AMPLIFICATION_DEFENSE.victimBandwidth);
+    const carried = this.carried.reduce((sum, arrival) => sum + arrival.bytes, 0);
+    this.arrivals.push({ time: this.time, bytes });
+    if (packet.type === 'attack') {
+      this.attackBytesReceived += bytes - 28; // UDP payload, as the request sizes count it
+    }
+    if (carried + bytes > capacity) {
+      this.metrics.linkDrops++;
+      this.dropPacket(packet, 'link saturated');
+      return;
+    }
+    this.carried.push({ time: this.time, bytes });
+    this.deliverPacket(packet);
+  }
+
+  // Reflectors answer every request for their service, to whatever address it claims to come from
+  deliverPacket(packet) {
+    super.deliverPacket(packet);
+    
+    const node = packet.destination;
+    const amplifier = AMPLIFIERS[node.service];
+    if (!amplifier || !this.reflectors.includes(node) || packet.headers.transport.destinationPort !== amplifier.port) return;
+    
+    const address = packet.headers.ip.source;
+    if (this.defenseValue('responseRateLimit', AMPLIFICATION_DEFENSE.responseRateLimit) &&
+        !this.responseLimiter(node).take(address, this.time)) {
+      this.metrics.rateLimitedResponses++;
+      return;
+    }
+    
+    // Only the attacker's kind of request is answered with a response many times its size
+    const requester = this.nodes.find(other => other.ip === address);
+    if (!requester) return;
+    const amplified = packet.headers.application.summary === amplifier.request;
+    this.createPacket(node, requester, packet.type, 1.5, {
+      protocol: 'udp',
+      port: packet.headers.transport.sourcePort,
+      sourcePort: amplifier.port,
+      payload: amplified ? amplifier.response : `${amplifier.name} response`,
+      size: amplified ? amplifier.requestSize * amplifier.factor : undefined
+    });
+  }
+
+  // Rebuilt when the user changes the rate
+  responseLimiter(node) {
+    const rate = this.defenseValue('rrlRate', AMPLIFICATION_DEFENSE.rrlRate);
+    let limiter = this.limiters.get(node.id);
+    if (!limiter || limiter.rate !== rate) {
+      limiter = new TokenBuckets(rate);
+      this.limiters.set(node.id, limiter);
     }
+    return limiter;
   }
 
+  // The victim's load is the share of its link's bandwidth offered to it over the last second
   updateMetrics() {
-    const activePackets = this.packets.filter(p => p.active).length;
-    this.metrics.serverLoad = Math.min(100, (activePackets / 40) * 100);
-    this.metrics.latency = Math.floor(30 + this.rng.range(0, 100));
+    super.updateMetrics();
     
-    this.packets.forEach(packet => {
-      if (!packet.active && packet.progress >= 1) {
-        this.metrics.packetsReceived++;
+    [this.arrivals, this.carried].forEach(window => {
+      while (window.length > 0 && window[0].time <= this.time - 1000) {
+        window.shift();
       }
     });
+    const offered = this.arrivals.reduce((sum, arrival) => sum + arrival.bytes, 0);
+    const capacity = this.defenseValue('victimBandwidth', AMPLIFICATION_DEFENSE.victimBandwidth);
+    this.metrics.victimBandwidth = Math.round(offered / 100) / 10;
+    this.metrics.serverLoad = Math.min(100, offered / capacity * 100);
+    this.metrics.amplification = this.attackBytesSent > 0 ? Math.round(this.attackBytesReceived / this.attackBytesSent) : 0;
+  }
+
+  describeState() {
+    const limited = this.defenseValue('responseRateLimit', AMPLIFICATION_DEFENSE.responseRateLimit);
+    const rows = this.reflectors.map(node => {
+      const amplifier = AMPLIFIERS[node.service];
+      return [node.id, `${amplifier.name} ×${amplifier.factor}${limited ? ', rate limited' : ', open'}`, limited ? '' : 'tampered'];
+    });
+    if (this.provider) {
+      rows.push([this.provider.id, this.defenseValue('bcp38', AMPLIFICATION_DEFENSE.bcp38) ? 'filters spoofed sources' : 'forwards spoofed sources',
+        this.defenseValue('bcp38', AMPLIFICATION_DEFENSE.bcp38) ? '' : 'tampered']);
+    }
+    return { title: 'Reflectors', rows };
   }
 }
 
+// Simulation engines a scenario file can select with its "engine" field
+const ENGINES = {
+  generic: AttackSimulation,
+  ddos: DdosAttack,
+  firewall: FirewallAttack,
+  synflood: SynFloodAttack,
+  dnspoison: DnsPoisonAttack,
+  credentials: CredentialAttack,
+  worm: WormAttack,
+  arpspoof: ArpSpoofAttack,
+  mitm: MitmAttack,
+  amplification: AmplificationAttack
+};
+
 // Simulation Factory
 class SimulationFactory {
-  static create(scenarioName, rng, canvasWidth, canvasHeight) {
-    const scenario = SCENARIOS[scenarioName];
+  // overrides: optional { defense, attack } parameters that replace the scenario's for this run, and
+  // groups: { role: count } sizes for its node groups of those roles. Traffic rates are set for a
+  // whole role, so the sources sending from a resized role scale with its size.
+  static create(scenarioName, rng, canvasWidth, canvasHeight, overrides = null) {
+    let scenario = SCENARIOS[scenarioName];
     if (!scenario) {
       console.error(`Unknown scenario: ${scenarioName}`);
       return null;
     }
-    
-    let simulation;
-    
-    switch (scenarioName) {
-      case 'ddos':
-        simulation = new DDoSAttack(scenario, rng, canvasWidth, canvasHeight);
-        break;
-      case 'mitm':
-        simulation = new MITMAttack(scenario, rng, canvasWidth, canvasHeight);
-        break;
-      case 'firewall':
-        simulation = new FirewallAttack(scenario, rng, canvasWidth, canvasHeight);
-        break;
-      case 'arpSpoof':
-        simulation = new ARPSpoofAttack(scenario, rng, canvasWidth, canvasHeight);
-        break;
-      default:
-        simulation = new DDoSAttack(scenario, rng, canvasWidth, canvasHeight);
+    if (overrides) {
+      // Runs with overrides keep any changes to their node specs (e.g. edited firewall rules) to themselves
+      scenario = { ...scenario, nodes: JSON.parse(JSON.stringify(scenario.nodes)) };
+      ['defense', 'attack'].forEach(section => {
+        if (overrides[section]) {
+          scenario[section] = { ...scenario[section], ...overrides[section] };
+        }
+      });
+      if (overrides.groups) {
+        const size = (groups, role) => groups.filter(group => group.role === role).reduce((sum, group) => sum + group.count, 0);
+        const resized = scenario.groups.map(group => (overrides.groups[group.role] === undefined ?
+          group : { ...group, count: overrides.groups[group.role] }));
+        scenario.traffic = scenario.traffic.map(source => {
+          const from = [].concat(source.from);
+          const role = from.length === 1 && from[0].startsWith('@') ? from[0].slice(1) : null;
+          const previous = role && overrides.groups[role] !== undefined ? size(scenario.groups, role) : 0;
+          return previous > 0 ? { ...source, rate: source.rate * size(resized, role) / previous } : source;
+        });
+        scenario.groups = resized;
+      }
     }
     
+    const Engine = ENGINES[scenario.engine] || AttackSimulation;
+    const simulation = new Engine(scenario, rng, canvasWidth, canvasHeight);
+    
     simulation.initialize();
     return simulation;
   }
 }
 
-// Export to global scope
-window.SCENARIOS = SCENARIOS;
-window.SimulationFactory = SimulationFactory;
\ No newline at end of file
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SIMULATION_STEP_MS,
+    SCENARIOS,
+    ENGINES,
+    AttackSimulation,
+    SimulationFactory
+  };
+} else {
+  window.SCENARIOS = SCENARIOS;
+  window.ENGINES = ENGINES;
+  window.SimulationFactory = SimulationFactory;
+}
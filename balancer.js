@@ -0,0 +1,153 @@
+/**
+ * Darth Invader - Load Balancing
+ * Spreads a service's traffic over a pool of server replicas, optionally scaled with the load
+ */
+
+const LB_POLICIES = ['round-robin', 'least-connections', 'hash'];
+
+// Autoscaler settings when the scenario leaves them out
+const AUTOSCALER_DEFAULTS = {
+  minReplicas: 1,
+  maxReplicas: Infinity, // capped at the pool size
+  scaleUpAt: 75, // average utilization (%) of the active replicas that adds one
+  scaleDownAt: 25, // ... and that removes one
+  warmUp: 8000, // ms before a new replica takes traffic
+  interval: 2000 // ms between scaling decisions
+};
+
+class LoadBalancer {
+  // replicas: the server nodes behind the balancer; each gets a replicaState of 'active', 'warming' or 'off'
+  constructor(replicas) {
+    this.replicas = replicas;
+    this.readyAt = new Map(); // warming replica -> time it starts taking traffic
+    this.connections = new Map(); // replica -> requests handed to it and not yet served or lost
+    this.nextReplica = 0;
+    this.lastDecision = -Infinity;
+    this.billedSeconds = 0; // replica-seconds of active and warming replicas
+    this.replicas.forEach(replica => {
+      replica.replicaState = 'active';
+    });
+  }
+
+  get active() {
+    return this.replicas.filter(replica => replica.replicaState === 'active');
+  }
+
+  // Replicas that cost money: the active ones and those still starting
+  get running() {
+    return this.replicas.filter(replica => replica.replicaState !== 'off');
+  }
+
+  // Replica for a new request, or null if none is active
+  pick(packet, policy) {
+    const active = this.active;
+    if (active.length === 0) return null;
+
+    switch (policy) {
+      case 'least-connections':
+        // Ties go to the first
+        return active.reduce((best, replica) => (this.openConnections(replica) < this.openConnections(best) ? replica : best));
+      case 'hash':
+        // The same client address always lands on the same replica while the pool is unchanged
+        return active[LoadBalancer.hash(packet.headers.ip.source) % active.length];
+      default: {
+        const replica = active[this.nextReplica % active.length];
+        this.nextReplica = (this.nextReplica + 1) % active.length;
+        return replica;
+      }
+    }
+  }
+
+  openConnections(replica) {
+    return this.connections.get(replica) || 0;
+  }
+
+  // A request was handed to `replica` (open) or has been served or lost on the way (close)
+  open(replica) {
+    this.connections.set(replica, this.openConnections(replica) + 1);
+  }
+
+  close(replica) {
+    this.connections.set(replica, Math.max(0, this.openConnections(replica) - 1));
+  }
+
+  // FNV-1a hash of a string
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  // Mean utilization (0-1) of the active replicas over their queues' measurement window
+  utilization(time) {
+    const active = this.active;
+    if (active.length === 0) return 0;
+    return active.reduce((sum, replica) => sum + replica.queue.utilization(time), 0) / active.length;
+  }
+
+  // Advance by `elapsed` ms: bill the running replicas, finish warm-ups and, with an autoscaler
+  // (settings as in AUTOSCALER_DEFAULTS, or null for a fixed pool), scale by one replica at a time
+  update(time, elapsed, autoscaler) {
+    this.billedSeconds += this.running.length * elapsed / 1000;
+
+    this.readyAt.forEach((readyAt, replica) => {
+      if (time >= readyAt) {
+        replica.replicaState = 'active';
+        this.readyAt.delete(replica);
+      }
+    });
+
+    // Without an autoscaler the whole pool is provisioned
+    if (!autoscaler) {
+      this.replicas.filter(replica => replica.replicaState === 'off').forEach(replica => this.start(replica, time, 0));
+      return;
+    }
+    if (time - this.lastDecision < autoscaler.interval) return;
+    this.lastDecision = time;
+
+    const running = this.running;
+    const max = Math.min(autoscaler.maxReplicas, this.replicas.length);
+    const load = this.utilization(time) * 100;
+    const idle = this.replicas.find(replica => replica.replicaState === 'off');
+
+    if (running.length < autoscaler.minReplicas && idle) {
+      this.start(idle, time, autoscaler.warmUp);
+    } else if (load >= autoscaler.scaleUpAt && running.length < max && this.readyAt.size === 0 && idle) {
+      // Waits for the previous replica to warm up before judging whether another is needed
+      this.start(idle, time, autoscaler.warmUp);
+    } else if ((load <= autoscaler.scaleDownAt || running.length > max) && this.active.length > autoscaler.minReplicas) {
+      // The last replica of the pool goes first; packets already in its queue are still served
+      const active = this.active;
+      active[active.length - 1].replicaState = 'off';
+    }
+  }
+
+  start(replica, time, warmUp) {
+    if (warmUp > 0) {
+      replica.replicaState = 'warming';
+      this.readyAt.set(replica, time + warmUp);
+    } else {
+      replica.replicaState = 'active';
+    }
+  }
+
+  // With an autoscaler a run starts from its minimum pool
+  scaleTo(count) {
+    this.replicas.forEach((replica, i) => {
+      replica.replicaState = i < count ? 'active' : 'off';
+    });
+    this.readyAt.clear();
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LB_POLICIES, AUTOSCALER_DEFAULTS, LoadBalancer };
+} else {
+  window.LB_POLICIES = LB_POLICIES;
+  window.AUTOSCALER_DEFAULTS = AUTOSCALER_DEFAULTS;
+  window.LoadBalancer = LoadBalancer;
+}
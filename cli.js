@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Darth Invader - Command Line Interface
+ * Runs simulations headlessly and prints their metrics as JSON, or sweeps a scenario's parameters
+ *
+ * Usage: darth-invader run --scenario ddos --seed 42 --intensity 80 --duration 60
+ *        darth-invader sweep --scenario ddos --seeds 1-10 --vary "defense.mitigation=none|scrubbing"
+ */
+
+const fs = require('fs');
+const { SimulationRunner } = require('./runner.js');
+const { SCENARIOS } = require('./attacks.js');
+const { ScenarioLoader } = require('./loader.js');
+const { SimulationRecorder } = require('./recorder.js');
+const { PcapWriter } = require('./pcap.js');
+const { Experiment } = require('./experiment.js');
+
+const USAGE = `Usage: darth-invader run [options]
+       darth-invader sweep [options]
+
+Options:
+  --scenario <name>    Scenario to run (${Object.keys(SCENARIOS).join(', ')}) [default: ddos]
+  --file <path>        Run a scenario file instead of a built-in scenario
+  --seed <number>      Random seed [default: 12345]
+  --intensity <0-100>  Attack intensity in percent [default: 50]
+  --duration <sec>     Simulated seconds to run [default: 60]
+  --defense <list>     Override defense parameters, e.g. synCookies=true,backlog=256
+  --attack <list>      Override attack parameters, e.g. strategy=spraying
+  --pcap <path>        Also write the simulated traffic to a PCAP capture file
+  --help               Show this message
+
+Sweep options (--scenario, --file and --duration as above):
+  --seeds <list>        Seeds to run, e.g. 1-10 or 1,5,9 [default: 12345]
+  --intensities <list>  Intensities to run, e.g. 20,50,80 [default: 50]
+  --vary <list>         Parameters to sweep as section.key=values pairs, with section defense,
+                        attack or groups (a node role, set to a group size), e.g.
+                        "defense.mitigation=none|scrubbing,groups.attacker=10,30"
+  --sample <ms>         Simulated ms between time-series samples [default: 1000]
+  --format <csv|json>   Output format [default: csv]
+  --table <name>        CSV table: summary, runs or samples [default: summary]
+  --output <path>       Write the results to a file instead of standard output`;
+
+// Parse "--name value" pairs into an options object
+function parseOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const name = arg.slice(2);
+    if (name === 'help') {
+      options.help = true;
+      continue;
+    }
+
+    const value = args[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for --${name}`);
+    }
+    options[name] = value;
+  }
+
+  return options;
+}
+
+function parseNumber(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`--${name} must be a number between ${min} and ${max}, got "${value}"`);
+  }
+  return number;
+}
+
+// Parse "key=value,key=value" into overrides for a scenario's `section` parameters;
+// values are read as JSON where possible
+function parseParameters(value, scenario, section) {
+  const parameters = {};
+
+  value.split(',').filter(Boolean).forEach(pair => {
+    const [key, raw] = pair.split('=');
+    if (raw === undefined) {
+      throw new Error(`--${section} expects key=value pairs, got "${pair}"`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(scenario[section], key)) {
+      const known = Object.keys(scenario[section]);
+      throw new Error(`Unknown ${section} parameter "${key}" (${known.length > 0 ? `available: ${known.join(', ')}` : 'the scenario has none'})`);
+    }
+    try {
+      parameters[key] = JSON.parse(raw);
+    } catch (error) {
+      parameters[key] = raw;
+    }
+  });
+
+  return parameters;
+}
+
+function runCommand(options) {
+  const config = {};
+
+  if (options.file !== undefined) {
+    config.scenario = ScenarioLoader.register(ScenarioLoader.loadFileSync(options.file), options.file).id;
+  }
+  if (options.scenario !== undefined) config.scenario = options.scenario;
+  if (options.seed !== undefined) config.seed = parseNumber(options.seed, 'seed', -Infinity, Infinity);
+  if (options.intensity !== undefined) config.intensity = parseNumber(options.intensity, 'intensity', 0, 100);
+  if (options.duration !== undefined) config.duration = parseNumber(options.duration, 'duration', 0, Infinity);
+  ['defense', 'attack'].forEach(section => {
+    if (options[section] === undefined) return;
+    const scenario = SCENARIOS[config.scenario || SimulationRunner.defaults.scenario];
+    if (!scenario) {
+      throw new Error(`Unknown scenario: ${config.scenario} (available: ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+    config[section] = parseParameters(options[section], scenario, section);
+  });
+
+  if (options.pcap !== undefined) {
+    // The capture file holds the whole run, however long
+    config.recorder = new SimulationRecorder({ captureFrames: false, maxEvents: Infinity });
+  }
+
+  const result = SimulationRunner.run(config);
+
+  if (config.recorder) {
+    fs.writeFileSync(options.pcap, PcapWriter.write(config.recorder.events));
+  }
+  process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+}
+
+function sweepCommand(options) {
+  const spec = {};
+
+  if (options.file !== undefined) {
+    spec.scenario = ScenarioLoader.register(ScenarioLoader.loadFileSync(options.file), options.file).id;
+  }
+  if (options.scenario !== undefined) spec.scenario = options.scenario;
+  if (options.seeds !== undefined) spec.seeds = Experiment.parseList(options.seeds).map(seed => parseNumber(seed, 'seeds', -Infinity, Infinity));
+  if (options.intensities !== undefined) {
+    spec.intensities = Experiment.parseList(options.intensities).map(intensity => parseNumber(intensity, 'intensities', 0, 100));
+  }
+  if (options.duration !== undefined) spec.duration = parseNumber(options.duration, 'duration', 0, Infinity);
+  if (options.sample !== undefined) spec.sampleInterval = parseNumber(options.sample, 'sample', 1, Infinity);
+  if (options.vary !== undefined) spec.parameters = Experiment.parseParameters(options.vary);
+
+  const format = options.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    throw new Error(`--format must be csv or json, got "${format}"`);
+  }
+  const table = options.table || 'summary';
+  if (!['summary', 'runs', 'samples'].includes(table)) {
+    throw new Error(`--table must be summary, runs or samples, got "${table}"`);
+  }
+
+  const experiment = new Experiment(spec);
+  const started = Date.now();
+  experiment.runAll();
+  console.error(`${experiment.runs.length} runs of ${experiment.config.duration}s in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+
+  const output = format === 'json' ? JSON.stringify(experiment.toJSON(), null, 2) + '\n' : experiment.toCSV(table);
+  if (options.output !== undefined) {
+    fs.writeFileSync(options.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+
+  if (!command || command === '--help' || command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    const options = parseOptions(args);
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    switch (command) {
+      case 'run':
+        runCommand(options);
+        return 0;
+      case 'sweep':
+        sweepCommand(options);
+        return 0;
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error(`darth-invader: ${error.message}`);
+    console.error(USAGE);
+    return 1;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,489 @@
+/**
+ * Darth Invader - Topology Editor
+ * Edit mode for the simulation canvas: add, drag, link and configure nodes,
+ * then save the result as a custom scenario
+ */
+
+const TopologyEditor = {
+  active: false,
+  tool: 'select',
+  nodes: [],
+  selected: null,
+  dragging: null,
+  linkStart: null,
+  pointer: null,
+
+  roles: ['server', 'client', 'attacker', 'firewall', 'switch', 'loadbalancer'],
+
+  // Default traffic a new node sends (packets per second)
+  defaultRates: {
+    server: 0,
+    client: 3,
+    attacker: 10,
+    firewall: 0,
+    switch: 0,
+    loadbalancer: 0
+  },
+
+  defaultRadius: {
+    server: 35,
+    client: 18,
+    attacker: 18,
+    firewall: 30,
+    switch: 24,
+    loadbalancer: 26
+  },
+
+  init() {
+    document.getElementById('editTopologyBtn').addEventListener('click', () => {
+      if (this.active) {
+        this.exit();
+      } else {
+        this.enter();
+      }
+    });
+
+    document.querySelectorAll('.editor-tool').forEach(button => {
+      button.addEventListener('click', () => this.setTool(button.dataset.tool));
+    });
+
+    document.getElementById('editorSave').addEventListener('click', () => this.save());
+    document.getElementById('editorDownload').addEventListener('click', () => this.download());
+    document.getElementById('editorClear').addEventListener('click', () => this.clear());
+    document.getElementById('editorCancel').addEventListener('click', () => this.exit());
+
+    const canvas = AppState.canvas;
+    canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+    canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
+    window.addEventListener('mouseup', (e) => this.onMouseUp(e));
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.active || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+      if ((e.key === 'Delete' || e.key === 'Backspace') && this.selected) {
+        e.preventDefault();
+        this.removeNode(this.selected);
+      } else if (e.key === 'Escape') {
+        this.linkStart = null;
+        this.select(null);
+      }
+    });
+
+    // Property fields
+    document.getElementById('editorNodeId').addEventListener('change', (e) => this.renameSelected(e.target.value.trim()));
+    document.getElementById('editorNodeRole').addEventListener('change', (e) => this.updateSelected('type', e.target.value));
+    document.getElementById('editorNodeRadius').addEventListener('change', (e) => {
+      this.updateSelected('radius', MathUtils.clamp(parseInt(e.target.value) || 20, 8, 60));
+    });
+    document.getElementById('editorNodeRate').addEventListener('change', (e) => {
+      this.updateSelected('trafficRate', MathUtils.clamp(parseFloat(e.target.value) || 0, 0, 200));
+    });
+    document.getElementById('editorNodeTarget').addEventListener('change', (e) => this.updateSelected('trafficTarget', e.target.value));
+  },
+
+  enter() {
+    if (AppState.isRunning && !AppState.isPaused) {
+      SimulationController.pause();
+    }
+    ReplayController.exit();
+
+    // Start from the current layout
+    const simulation = AppState.simulation;
+    this.nodes = simulation.nodes.map(node => {
+      const copy = new Node(node.id, node.type, node.x, node.y, node.radius);
+      copy.connections = node.connections.slice();
+      copy.routes = { ...node.routes };
+      copy.firewall = node.acl ? node.acl.toJSON() : null;
+      const traffic = simulation.scenario.traffic.find(source => source.from === node.id && typeof source.to === 'string');
+      copy.trafficRate = traffic ? traffic.rate : this.defaultRates[node.type];
+      copy.trafficTarget = traffic ? traffic.to : null;
+      return copy;
+    });
+    this.nodes.forEach(node => {
+      if (!node.trafficTarget) {
+        node.trafficTarget = this.defaultTarget(node);
+      }
+    });
+
+    const scenario = simulation.scenario;
+    document.getElementById('editorName').value = ScenarioLoader.builtIn.includes(scenario.id)
+      ? `Custom ${scenario.name}`
+      : scenario.name;
+
+    this.active = true;
+    this.select(null);
+    this.setTool('select');
+
+    document.getElementById('editorToolbar').classList.remove('hidden');
+    document.getElementById('editTopologyBtn').textContent = '✕ Close Editor';
+    document.getElementById('startBtn').disabled = true;
+    document.getElementById('resetBtn').disabled = true;
+    document.getElementById('statusText').textContent = 'Editing';
+    AppState.canvas.classList.add('editing');
+
+    CanvasRenderer.render();
+  },
+
+  exit() {
+    if (!this.active) return;
+
+    this.active = false;
+    this.dragging = null;
+    this.linkStart = null;
+
+    document.getElementById('editorToolbar').classList.add('hidden');
+    document.getElementById('editTopologyBtn').textContent = '✏️ Edit Topology';
+    document.getElementById('startBtn').disabled = false;
+    document.getElementById('resetBtn').disabled = false;
+    document.getElementById('statusText').textContent = AppState.isRunning ? 'Paused' : 'Ready';
+    AppState.canvas.classList.remove('editing');
+
+    CanvasRenderer.render();
+  },
+
+  setTool(tool) {
+    this.tool = tool;
+    this.linkStart = null;
+    document.querySelectorAll('.editor-tool').forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === tool);
+    });
+  },
+
+  clear() {
+    this.nodes = [];
+    this.select(null);
+    CanvasRenderer.render();
+  },
+
+  // Mouse position in canvas coordinates (the canvas may be scaled by CSS)
+  canvasPoint(e) {
+    const rect = AppState.canvas.getBoundingClientRect();
+    const scaleX = rect.width > 0 ? AppState.canvasWidth / rect.width : 1;
+    const scaleY = rect.height > 0 ? AppState.canvasHeight / rect.height : 1;
+    return {
+      x: MathUtils.clamp((e.clientX - rect.left) * scaleX, 0, AppState.canvasWidth),
+      y: MathUtils.clamp((e.clientY - rect.top) * scaleY, 0, AppState.canvasHeight)
+    };
+  },
+
+  nodeAt(point) {
+    // Topmost (last drawn) node wins
+    for (let i = this.nodes.length - 1; i >= 0; i--) {
+      const node = this.nodes[i];
+      if (MathUtils.distance(point.x, point.y, node.x, node.y) <= node.radius) {
+        return node;
+      }
+    }
+    return null;
+  },
+
+  linkAt(point) {
+    for (const node of this.nodes) {
+      for (const targetId of node.connections) {
+        const target = this.findNode(targetId);
+        if (target && this.distanceToSegment(point, node, target) <= 6) {
+          return { from: node, to: target };
+        }
+      }
+    }
+    return null;
+  },
+
+  distanceToSegment(point, a, b) {
+    const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    if (lengthSquared === 0) return MathUtils.distance(point.x, point.y, a.x, a.y);
+    const t = MathUtils.clamp(((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / lengthSquared, 0, 1);
+    return MathUtils.distance(point.x, point.y, a.x + t * (b.x - a.x), a.y + t * (b.y - a.y));
+  },
+
+  findNode(id) {
+    return this.nodes.find(n => n.id === id);
+  },
+
+  onMouseDown(e) {
+    if (!this.active) return;
+
+    const point = this.canvasPoint(e);
+    const node = this.nodeAt(point);
+
+    if (this.tool.startsWith('add:')) {
+      if (!node) {
+        this.select(this.addNode(this.tool.slice(4), point.x, point.y));
+      } else {
+        this.select(node);
+      }
+    } else if (this.tool === 'link') {
+      this.linkStart = node;
+      this.pointer = point;
+    } else if (this.tool === 'delete') {
+      if (node) {
+        this.removeNode(node);
+      } else {
+        const link = this.linkAt(point);
+        if (link) {
+          this.removeLink(link.from, link.to);
+        }
+      }
+    } else {
+      this.select(node);
+      if (node) {
+        this.dragging = { node, offsetX: point.x - node.x, offsetY: point.y - node.y };
+      }
+    }
+
+    CanvasRenderer.render();
+  },
+
+  onMouseMove(e) {
+    if (!this.active) return;
+
+    const point = this.canvasPoint(e);
+
+    if (this.dragging) {
+      const { node, offsetX, offsetY } = this.dragging;
+      node.x = MathUtils.clamp(point.x - offsetX, 0, AppState.canvasWidth);
+      node.y = MathUtils.clamp(point.y - offsetY, 0, AppState.canvasHeight);
+      CanvasRenderer.render();
+    } else if (this.linkStart) {
+      this.pointer = point;
+      CanvasRenderer.render();
+    }
+  },
+
+  onMouseUp(e) {
+    if (!this.active) return;
+
+    if (this.linkStart) {
+      const target = this.nodeAt(this.canvasPoint(e));
+      if (target && target !== this.linkStart) {
+        this.addLink(this.linkStart, target);
+      }
+      this.linkStart = null;
+      CanvasRenderer.render();
+    }
+
+    this.dragging = null;
+  },
+
+  addNode(role, x, y) {
+    let index = 0;
+    while (this.findNode(`${role}-${index}`)) {
+      index++;
+    }
+
+    const node = new Node(`${role}-${index}`, role, x, y, this.defaultRadius[role]);
+    node.routes = {};
+    node.trafficRate = this.defaultRates[role];
+    node.trafficTarget = this.defaultTarget(node);
+    this.nodes.push(node);
+    return node;
+  },
+
+  removeNode(node) {
+    this.nodes = this.nodes.filter(n => n !== node);
+    this.nodes.forEach(n => {
+      n.connections = n.connections.filter(id => id !== node.id);
+      // Drop static routes to or through the removed node
+      Object.keys(n.routes).forEach(destination => {
+        if (destination === node.id || n.routes[destination] === node.id) {
+          delete n.routes[destination];
+        }
+      });
+      if (n.trafficTarget === node.id) {
+        n.trafficTarget = this.defaultTarget(n);
+      }
+    });
+
+    if (this.selected === node) {
+      this.select(null);
+    }
+    CanvasRenderer.render();
+  },
+
+  addLink(from, to) {
+    // Links are undirected, so skip duplicates in either direction
+    if (from.connections.includes(to.id) || to.connections.includes(from.id)) return;
+    from.connections.push(to.id);
+  },
+
+  removeLink(from, to) {
+    from.connections = from.connections.filter(id => id !== to.id);
+    to.connections = to.connections.filter(id => id !== from.id);
+  },
+
+  // Attackers and clients send to the first server by default
+  defaultTarget(node) {
+    if (node.type !== 'attacker' && node.type !== 'client') return null;
+    const server = this.nodes.find(n => n.type === 'server');
+    return server ? server.id : null;
+  },
+
+  select(node) {
+    this.selected = node;
+    this.showProperties();
+  },
+
+  updateSelected(property, value) {
+    if (!this.selected) return;
+    this.selected[property] = value;
+    this.showProperties();
+    CanvasRenderer.render();
+  },
+
+  renameSelected(newId) {
+    const node = this.selected;
+    if (!node || newId === node.id) return;
+
+    if (!newId || this.findNode(newId)) {
+      alert(newId ? `A node named "${newId}" already exists.` : 'Node id cannot be empty.');
+      this.showProperties();
+      return;
+    }
+
+    this.nodes.forEach(n => {
+      n.connections = n.connections.map(id => (id === node.id ? newId : id));
+      n.routes = Object.fromEntries(Object.entries(n.routes).map(([destination, nextHop]) => [
+        destination === node.id ? newId : destination,
+        nextHop === node.id ? newId : nextHop
+      ]));
+      if (n.trafficTarget === node.id) {
+        n.trafficTarget = newId;
+      }
+    });
+    node.id = newId;
+    this.showProperties();
+  },
+
+  showProperties() {
+    const node = this.selected;
+    document.getElementById('editorProperties').classList.toggle('hidden', !node);
+    document.getElementById('editorHint').classList.toggle('hidden', Boolean(node));
+    if (!node) return;
+
+    document.getElementById('editorNodeId').value = node.id;
+    document.getElementById('editorNodeRole').value = node.type;
+    document.getElementById('editorNodeRadius').value = node.radius;
+    document.getElementById('editorNodeRate').value = node.trafficRate || 0;
+
+    const targetSelect = document.getElementById('editorNodeTarget');
+    targetSelect.innerHTML = '<option value="">(none)</option>';
+    this.nodes.filter(n => n !== node).forEach(n => {
+      const option = document.createElement('option');
+      option.value = n.id;
+      option.textContent = n.id;
+      targetSelect.appendChild(option);
+    });
+    targetSelect.value = node.trafficTarget || '';
+  },
+
+  render(ctx) {
+    SceneRenderer.drawConnections(ctx, this.nodes);
+
+    // Rubber band while drawing a link
+    if (this.linkStart && this.pointer) {
+      ctx.strokeStyle = Colors.get('text');
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(this.linkStart.x, this.linkStart.y);
+      ctx.lineTo(this.pointer.x, this.pointer.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    this.nodes.forEach(node => SceneRenderer.drawNode(ctx, node, 0));
+
+    if (this.selected) {
+      const node = this.selected;
+      ctx.strokeStyle = Colors.get('text');
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, node.radius + 6, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  },
+
+  // Build a scenario file from the edited topology
+  toScenario() {
+    const name = document.getElementById('editorName').value.trim() || 'Custom Network';
+    let id = 'custom-' + (name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'network');
+    if (ScenarioLoader.builtIn.includes(id)) {
+      id += '-custom';
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+      format: 'darth-invader-scenario',
+      version: 1,
+      id,
+      name,
+      description: 'Custom topology built in the editor',
+      icon: '🧩',
+      engine: 'generic',
+      nodes: this.nodes.map(node => {
+        const spec = {
+          id: node.id,
+          role: node.type,
+          x: round(node.x / AppState.canvasWidth),
+          y: round(node.y / AppState.canvasHeight),
+          radius: node.radius
+        };
+        if (Object.keys(node.routes).length > 0) {
+          spec.routes = { ...node.routes };
+        }
+        if (node.type === 'firewall' && node.firewall) {
+          spec.firewall = node.firewall;
+        }
+        return spec;
+      }),
+      links: this.nodes.flatMap(node => node.connections.map(to => ({ from: node.id, to }))),
+      traffic: this.nodes
+        .filter(node => node.trafficRate > 0 && node.trafficTarget)
+        .map(node => ({
+          from: node.id,
+          to: node.trafficTarget,
+          packetType: node.type === 'attacker' ? 'attack' : 'normal',
+          rate: node.trafficRate,
+          speed: 1.5
+        }))
+    };
+  },
+
+  save() {
+    let scenario;
+    try {
+      scenario = ScenarioLoader.register(ScenarioLoader.parse(this.toScenario(), 'custom scenario'), 'custom scenario');
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    UIController.addScenarioCard(scenario);
+    this.exit();
+    SimulationController.reset();
+    SimulationController.loadScenario(scenario.id);
+  },
+
+  download() {
+    const data = this.toScenario();
+    const errors = ScenarioLoader.validate(data);
+    if (errors.length > 0) {
+      alert(new ScenarioError(errors, 'custom scenario').message);
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${data.id}.json`;
+    a.click();
+
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Export to global scope
+window.TopologyEditor = TopologyEditor;
@@ -0,0 +1,182 @@
+/**
+ * Darth Invader - Simulation Events
+ * Typed events a simulation emits as packets move, and the traffic counters and event log kept from them
+ */
+
+// Packet events: sent, passed on at a hop, rewritten by a node on the path, and finally delivered,
+// dropped or blocked. Every event carries { time, type, packet, node, reason? }, where node is the
+// node it happened at; a 'step' event ({ time, simulation }) follows each simulation step.
+const PACKET_EVENTS = ['create', 'forward', 'intercept', 'deliver', 'drop', 'block'];
+
+// Name each packet event is counted under
+const TRAFFIC_COUNTS = {
+  create: 'sent',
+  forward: 'forwarded',
+  intercept: 'intercepted',
+  deliver: 'delivered',
+  drop: 'dropped',
+  block: 'blocked'
+};
+
+class EventBus {
+  constructor() {
+    this.handlers = new Map(); // event type -> handlers, called in the order they subscribed
+  }
+
+  // Subscribe to one event type or a list of them; returns a function that unsubscribes
+  on(types, handler) {
+    [].concat(types).forEach(type => {
+      if (!this.handlers.has(type)) {
+        this.handlers.set(type, []);
+      }
+      this.handlers.get(type).push(handler);
+    });
+    return () => this.off(types, handler);
+  }
+
+  off(types, handler) {
+    [].concat(types).forEach(type => {
+      const handlers = this.handlers.get(type);
+      if (handlers) {
+        this.handlers.set(type, handlers.filter(candidate => candidate !== handler));
+      }
+    });
+  }
+
+  emit(type, event) {
+    const handlers = this.handlers.get(type);
+    if (handlers) {
+      handlers.forEach(handler => handler(event));
+    }
+  }
+}
+
+// Packet counts for the whole run, per node and per link, kept as the events happen so every packet
+// is counted exactly once however and whenever it leaves the simulation
+class TrafficCounters {
+  constructor() {
+    this.global = TrafficCounters.empty();
+    this.nodes = new Map(); // node id -> counts of the events that happened at it
+    this.links = new Map(); // Router.linkKey -> { packets, bytes, dropped } put on the link and lost on it
+  }
+
+  static empty() {
+    return Object.fromEntries(Object.values(TRAFFIC_COUNTS).map(name => [name, 0]));
+  }
+
+  attach(events) {
+    events.on(PACKET_EVENTS, event => this.count(event));
+  }
+
+  // Events count towards the node they happened at, except that a packet lost before the end of its
+  // hop counts against the link
+  count({ type, packet, node }) {
+    const name = TRAFFIC_COUNTS[type];
+    this.global[name]++;
+
+    const onTheWire = type === 'create' || type === 'forward';
+    if (onTheWire) {
+      const link = this.track(packet.source.id, packet.target.id);
+      link.packets++;
+      link.bytes += packet.headers.ip ? packet.headers.ip.length : 0;
+    } else if (type === 'drop' && packet.progress < 1) {
+      this.track(packet.source.id, packet.target.id).dropped++;
+      return;
+    }
+
+    if (!this.nodes.has(node.id)) {
+      this.nodes.set(node.id, TrafficCounters.empty());
+    }
+    this.nodes.get(node.id)[name]++;
+  }
+
+  // Counts of a node; zero for one that has not handled any packet
+  node(id) {
+    return this.nodes.get(id) || TrafficCounters.empty();
+  }
+
+  // Counts of the link between two nodes, in either direction
+  link(a, b) {
+    return this.links.get(Router.linkKey(a, b)) || { packets: 0, bytes: 0, dropped: 0 };
+  }
+
+  track(a, b) {
+    const key = Router.linkKey(a, b);
+    if (!this.links.has(key)) {
+      this.links.set(key, { packets: 0, bytes: 0, dropped: 0 });
+    }
+    return this.links.get(key);
+  }
+}
+
+// The packet events of a run as plain entries, for searching and export as JSON Lines
+class EventLog {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 50000;
+    this.entries = []; // [{ time, type, packetId, packetType, protocol, source, target, node, reason? }]
+    this.discarded = 0; // oldest entries let go to stay under maxEntries
+    this.packetTypes = new Set();
+  }
+
+  attach(simulation) {
+    simulation.events.on(PACKET_EVENTS, event => this.add(event));
+  }
+
+  // source and target are the nodes the packet travels between, node the one the event happened at
+  add({ time, type, packet, node, reason }) {
+    const entry = {
+      time,
+      type,
+      packetId: packet.id,
+      packetType: packet.type,
+      protocol: packet.headers.arp ? 'arp' : packet.headers.ip.protocol,
+      source: packet.origin.id,
+      target: packet.destination.id,
+      node: node.id
+    };
+    if (reason) {
+      entry.reason = reason;
+    }
+    this.entries.push(entry);
+    this.packetTypes.add(packet.type);
+
+    // Trimmed a tenth at a time so a long run does not shift the whole list on every event
+    if (this.entries.length > this.maxEntries) {
+      const excess = this.entries.length - this.maxEntries + Math.ceil(this.maxEntries / 10);
+      this.entries.splice(0, excess);
+      this.discarded += excess;
+    }
+  }
+
+  // Entries up to `until` (ms) that involve `node` as source, target or where it happened, with the
+  // given packet type and outcome (event type), and whose description contains `text`; empty filters match all
+  filter({ node, packetType, outcome, text, until = Infinity } = {}) {
+    const search = text ? text.toLowerCase() : '';
+    return this.entries.filter(entry => entry.time <= until &&
+      (!node || entry.source === node || entry.target === node || entry.node === node) &&
+      (!packetType || entry.packetType === packetType) &&
+      (!outcome || entry.type === outcome) &&
+      (!search || EventLog.describe(entry).toLowerCase().includes(search) || `#${entry.packetId}` === search));
+  }
+
+  // "attacker-3 → server dropped (queue full)", naming the node it happened at when that is neither end
+  static describe(entry) {
+    const at = entry.node !== entry.source && entry.node !== entry.target ? ` at ${entry.node}` : '';
+    return `${entry.source} → ${entry.target} ${TRAFFIC_COUNTS[entry.type]}${at}${entry.reason ? ` (${entry.reason})` : ''}`;
+  }
+
+  static toJSONLines(entries) {
+    return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PACKET_EVENTS, TRAFFIC_COUNTS, EventBus, TrafficCounters, EventLog };
+} else {
+  window.PACKET_EVENTS = PACKET_EVENTS;
+  window.TRAFFIC_COUNTS = TRAFFIC_COUNTS;
+  window.EventBus = EventBus;
+  window.TrafficCounters = TrafficCounters;
+  window.EventLog = EventLog;
+}
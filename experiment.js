@@ -0,0 +1,330 @@
+/**
+ * Darth Invader - Parameter Sweep Experiments
+ * Runs a scenario headlessly over a grid of seeds, intensities and scenario parameters and
+ * summarizes the metrics of the runs
+ */
+
+// The browser loads the engine scripts first; in Node, pull their exports into scope
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./utils.js'), require('./attacks.js'));
+}
+
+const EXPERIMENT_DEFAULTS = {
+  scenario: 'ddos',
+  seeds: [12345],
+  intensities: [50],
+  parameters: {}, // "section.key" -> values to try; section is defense, attack or groups (key: a group role, value: its size)
+  duration: 60, // simulated seconds per run
+  sampleInterval: 1000, // ms of simulated time between time-series samples
+  width: 800,
+  height: 600
+};
+const EXPERIMENT_SECTIONS = ['defense', 'attack', 'groups'];
+const STEPS_PER_CLOCK_CHECK = 60; // simulation steps runAsync runs between looks at the wall clock
+
+// Two-sided 95% critical values of Student's t for 1 to 30 degrees of freedom; above that the normal value
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+const Statistics = {
+  mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  },
+
+  // Sample standard deviation (0 for a single value)
+  stddev(values) {
+    if (values.length < 2) return 0;
+    const mean = this.mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+  },
+
+  // { n, mean, stddev, ciLow, ciHigh } with a 95% confidence interval for the mean
+  summarize(values) {
+    const n = values.length;
+    const mean = this.mean(values);
+    const stddev = this.stddev(values);
+    const t = n - 1 <= T_CRITICAL_95.length ? T_CRITICAL_95[n - 2] : 1.96;
+    const margin = n < 2 ? 0 : t * stddev / Math.sqrt(n);
+    return { n, mean, stddev, ciLow: mean - margin, ciHigh: mean + margin };
+  }
+};
+
+class Experiment {
+  // spec: EXPERIMENT_DEFAULTS overrides; throws if the scenario or a parameter is unknown
+  constructor(spec = {}) {
+    this.config = { ...EXPERIMENT_DEFAULTS, ...spec };
+    const scenario = SCENARIOS[this.config.scenario];
+    if (!scenario) {
+      throw new Error(`Unknown scenario: ${this.config.scenario} (available: ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+    Object.keys(this.config.parameters).forEach(path => Experiment.checkParameter(scenario, path));
+
+    this.runs = Experiment.grid(this.config);
+    this.results = [];
+    this.current = null; // { run, simulation, samples, nextSample } of the run in progress
+    this.cancelled = false;
+    this.stepsPerRun = Math.round(this.config.duration * 1000 / SIMULATION_STEP_MS);
+  }
+
+  static checkParameter(scenario, path) {
+    const [section, key] = path.split('.');
+    if (!EXPERIMENT_SECTIONS.includes(section) || !key) {
+      throw new Error(`Parameter "${path}" must be written section.key with section one of ${EXPERIMENT_SECTIONS.join(', ')}`);
+    }
+    const known = section === 'groups' ? scenario.groups.map(group => group.role) : Object.keys(scenario[section]);
+    if (!known.includes(key)) {
+      throw new Error(`Unknown ${section} parameter "${key}" (${known.length > 0 ? `available: ${known.join(', ')}` : 'the scenario has none'})`);
+    }
+  }
+
+  // Every combination of parameter values and intensity, each run once per seed:
+  // [{ seed, intensity, parameters }]
+  static grid(config) {
+    let combinations = [{}];
+    Object.entries(config.parameters).forEach(([path, values]) => {
+      combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [path]: value })));
+    });
+
+    return combinations.flatMap(parameters => config.intensities.flatMap(intensity =>
+      config.seeds.map(seed => ({ seed, intensity, parameters }))));
+  }
+
+  // Factory overrides for a run's parameters
+  static overrides(parameters) {
+    const overrides = {};
+    Object.entries(parameters).forEach(([path, value]) => {
+      const [section, key] = path.split('.');
+      overrides[section] = { ...overrides[section], [key]: value };
+    });
+    return overrides;
+  }
+
+  // Lists as typed on the command line or in the sweep form: "1-10" for a range of integers, otherwise
+  // comma- or |-separated values read as JSON where possible
+  static parseList(text) {
+    const range = /^\s*(-?\d+)\s*-\s*(-?\d+)\s*$/.exec(text);
+    if (range) {
+      const from = Number(range[1]);
+      const to = Number(range[2]);
+      if (to < from) throw new Error(`Empty range: ${text}`);
+      return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+    }
+
+    return text.split(/[,|]/).map(item => item.trim()).filter(Boolean).map(item => {
+      try {
+        return JSON.parse(item);
+      } catch (error) {
+        return item;
+      }
+    });
+  }
+
+  // Parameter grid from "section.key=values" pairs, separated by new lines or by the comma before the next
+  // pair: "defense.mitigation=none|scrubbing, groups.attacker=10,30"
+  static parseParameters(text) {
+    const parameters = {};
+    text.split(/\n|,(?=\s*\w+\.\w+\s*=)/).map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+      const separator = pair.indexOf('=');
+      if (separator < 0) {
+        throw new Error(`Expected section.key=values, got "${pair}"`);
+      }
+      parameters[pair.slice(0, separator).trim()] = Experiment.parseList(pair.slice(separator + 1));
+    });
+    return parameters;
+  }
+
+  get done() {
+    return this.cancelled || this.results.length === this.runs.length;
+  }
+
+  // Share of the experiment's steps that have been run (0-1)
+  get progress() {
+    const total = this.runs.length * this.stepsPerRun;
+    if (total === 0) return 1;
+    const current = this.current ? this.current.simulation.stepCount : 0;
+    return Math.min(1, (this.results.length * this.stepsPerRun + current) / total);
+  }
+
+  cancel() {
+    this.cancelled = true;
+    this.current = null;
+  }
+
+  // Run up to `steps` simulation steps, starting and finishing runs as needed; returns false once
+  // the experiment is done
+  advance(steps) {
+    let remaining = steps;
+    while (remaining > 0 && !this.done) {
+      if (!this.current) {
+        this.current = this.begin(this.runs[this.results.length]);
+      }
+
+      const current = this.current;
+      const todo = Math.min(remaining, this.stepsPerRun - current.simulation.stepCount);
+      for (let i = 0; i < todo; i++) {
+        current.simulation.step(current.run.intensity);
+        if (current.simulation.time >= current.nextSample) {
+          this.sample(current);
+        }
+      }
+      remaining -= todo;
+
+      if (current.simulation.stepCount >= this.stepsPerRun) {
+        this.finish(current);
+      }
+    }
+    return !this.done;
+  }
+
+  begin(run) {
+    const simulation = SimulationFactory.create(this.config.scenario, new SeededRandom(run.seed),
+      this.config.width, this.config.height, Experiment.overrides(run.parameters));
+    return { run, simulation, samples: [], nextSample: this.config.sampleInterval };
+  }
+
+  sample(current) {
+    current.samples.push({ time: Math.round(current.simulation.time) / 1000, ...current.simulation.getMetrics() });
+    current.nextSample += this.config.sampleInterval;
+  }
+
+  finish(current) {
+    this.results.push({
+      ...current.run,
+      simulatedTime: Math.round(current.simulation.time) / 1000,
+      metrics: current.simulation.getMetrics(),
+      samples: current.samples
+    });
+    this.current = null;
+  }
+
+  // Node: run everything at once
+  runAll() {
+    while (this.advance(Infinity));
+    return this.results;
+  }
+
+  // Browser: run in slices of about `sliceMs` of wall-clock time, yielding to the page in between so it
+  // stays responsive; onProgress(experiment) is called after every slice
+  runAsync({ sliceMs = 30, onProgress = null } = {}) {
+    return new Promise(resolve => {
+      const slice = () => {
+        const until = performance.now() + sliceMs;
+        while (performance.now() < until && this.advance(STEPS_PER_CLOCK_CHECK));
+        if (onProgress) onProgress(this);
+        if (this.done) {
+          resolve(this.results);
+        } else {
+          setTimeout(slice, 0);
+        }
+      };
+      slice();
+    });
+  }
+
+  // Runs that differ only in their seed are replicates: one entry per intensity and parameter combination
+  // with statistics of the final metrics and of each time-series sample
+  summarize() {
+    const groups = new Map();
+    this.results.forEach(result => {
+      const key = JSON.stringify([result.intensity, result.parameters]);
+      if (!groups.has(key)) {
+        groups.set(key, { intensity: result.intensity, parameters: result.parameters, results: [] });
+      }
+      groups.get(key).results.push(result);
+    });
+
+    return Array.from(groups.values()).map(({ intensity, parameters, results }) => {
+      const length = Math.min(...results.map(result => result.samples.length));
+      return {
+        intensity,
+        parameters,
+        runs: results.length,
+        metrics: Experiment.summarizeMetrics(results.map(result => result.metrics)),
+        series: Array.from({ length }, (_, i) => ({
+          time: results[0].samples[i].time,
+          metrics: Experiment.summarizeMetrics(results.map(result => result.samples[i]), ['time'])
+        }))
+      };
+    });
+  }
+
+  // Statistics of every numeric metric over a list of metric objects
+  static summarizeMetrics(list, skip = []) {
+    const keys = Experiment.metricKeys(list).filter(key => !skip.includes(key));
+    return Object.fromEntries(keys.map(key => [key, Statistics.summarize(list.map(metrics => metrics[key] || 0))]));
+  }
+
+  // Numeric metric names found in any of the objects, in first-seen order
+  static metricKeys(list) {
+    const keys = new Set();
+    list.forEach(metrics => Object.entries(metrics).forEach(([key, value]) => {
+      if (typeof value === 'number') keys.add(key);
+    }));
+    return Array.from(keys);
+  }
+
+  // table: 'runs' (final metrics of each run), 'samples' (time series of each run) or 'summary'
+  toCSV(table = 'summary') {
+    const paths = Object.keys(this.config.parameters);
+    const rows = [];
+
+    if (table === 'summary') {
+      const summary = this.summarize();
+      const keys = Array.from(new Set(summary.flatMap(entry => Object.keys(entry.metrics))));
+      rows.push(['intensity', ...paths, 'runs', ...keys.flatMap(key => ['mean', 'stddev', 'ci95_low', 'ci95_high'].map(stat => `${key}_${stat}`))]);
+      summary.forEach(entry => {
+        rows.push([entry.intensity, ...paths.map(path => entry.parameters[path]), entry.runs, ...keys.flatMap(key => {
+          const stats = entry.metrics[key];
+          return stats ? [stats.mean, stats.stddev, stats.ciLow, stats.ciHigh].map(Experiment.round) : ['', '', '', ''];
+        })]);
+      });
+    } else if (table === 'samples') {
+      const keys = Experiment.metricKeys(this.results.flatMap(result => result.samples)).filter(key => key !== 'time');
+      rows.push(['run', 'seed', 'intensity', ...paths, 'time', ...keys]);
+      this.results.forEach((result, i) => result.samples.forEach(sample => {
+        rows.push([i + 1, result.seed, result.intensity, ...paths.map(path => result.parameters[path]), sample.time, ...keys.map(key => sample[key])]);
+      }));
+    } else {
+      const keys = Experiment.metricKeys(this.results.map(result => result.metrics));
+      rows.push(['run', 'seed', 'intensity', ...paths, ...keys]);
+      this.results.forEach((result, i) => {
+        rows.push([i + 1, result.seed, result.intensity, ...paths.map(path => result.parameters[path]), ...keys.map(key => result.metrics[key])]);
+      });
+    }
+
+    return rows.map(row => row.map(Experiment.csvField).join(',')).join('\n') + '\n';
+  }
+
+  toJSON() {
+    const { width, height, ...config } = this.config;
+    return {
+      format: 'darth-invader-experiment',
+      version: 1,
+      config,
+      runs: this.results,
+      summary: this.summarize()
+    };
+  }
+
+  static round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  static csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EXPERIMENT_DEFAULTS, Statistics, Experiment };
+} else {
+  window.EXPERIMENT_DEFAULTS = EXPERIMENT_DEFAULTS;
+  window.Statistics = Statistics;
+  window.Experiment = Experiment;
+}
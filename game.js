@@ -0,0 +1,310 @@
+/**
+ * Darth Invader - Challenge Mode
+ * Rounds of attack versus defense: spend a budget on defenses, survive a scripted attack campaign
+ * and get scored on uptime, goodput and cost
+ */
+
+// Every round replays the same campaign from its own seed, so scores compare across players
+const GAME_ROUNDS = [
+  { id: 'probe', name: 'Round 1 · Probe', scenario: 'challenge', seed: 1001, intensity: 60, budget: 700, duration: 60000 },
+  { id: 'campaign', name: 'Round 2 · Campaign', scenario: 'challenge', seed: 2002, intensity: 80, budget: 550, duration: 60000 },
+  { id: 'siege', name: 'Round 3 · Siege', scenario: 'challenge', seed: 3003, intensity: 100, budget: 400, duration: 60000 }
+];
+
+// What the budget buys; defense() adjusts the scenario's defense parameters before the run and
+// apply() changes the simulation once it is built
+const GAME_ITEMS = [
+  {
+    id: 'deny-udp',
+    name: 'Firewall rule: deny UDP',
+    price: 150,
+    max: 1,
+    apply: (simulation, count, edge) => edge.acl.rules.push(FirewallACL.normalizeRule({ action: 'deny', protocol: 'udp', name: 'deny UDP' }))
+  },
+  {
+    id: 'deny-icmp',
+    name: 'Firewall rule: deny ICMP',
+    price: 150,
+    max: 1,
+    apply: (simulation, count, edge) => edge.acl.rules.push(FirewallACL.normalizeRule({ action: 'deny', protocol: 'icmp', name: 'deny ICMP' }))
+  },
+  {
+    id: 'rate-limit',
+    name: 'Rate limit: 5 packets/s per source',
+    price: 250,
+    max: 1,
+    apply: (simulation, count, edge) => edge.acl.setRateLimit({ rate: 5 })
+  },
+  {
+    id: 'replica',
+    name: 'Extra server',
+    price: 120,
+    max: 4,
+    defense: (count, defense) => ({ minReplicas: defense.minReplicas + count, maxReplicas: defense.maxReplicas + count })
+  },
+  {
+    id: 'ids',
+    name: 'IDS sensor: blocks the sources it flags',
+    price: 300,
+    max: 1
+  }
+];
+
+// A second counts as up when at least this share of the legitimate requests finished in it were served
+const GAME_UPTIME_THRESHOLD = 0.9;
+
+const GameMode = {
+  round: null, // round being played
+  simulation: null,
+  edge: null, // firewall the purchased rules go on
+  spent: 0,
+  purchases: {}, // item id -> count
+  previous: null, // seed and intensity to restore after the round
+  seconds: [], // per simulated second: true if the service was up
+  counted: { served: 0, lost: 0 }, // legitimate requests at the last sample
+  alertsSeen: 0,
+  scores: [], // results of this session, newest first
+
+  init() {
+    const select = document.getElementById('gameRound');
+    GAME_ROUNDS.forEach((round, i) => select.add(new Option(round.name, i)));
+    select.addEventListener('change', () => this.renderShop());
+
+    document.getElementById('gameShop').addEventListener('change', (e) => {
+      if (e.target.dataset.item) {
+        this.updateBudget();
+      }
+    });
+    document.getElementById('gameStart').addEventListener('click', () => this.start());
+
+    this.renderShop();
+  },
+
+  get selectedRound() {
+    return GAME_ROUNDS[Number(document.getElementById('gameRound').value)];
+  },
+
+  renderShop() {
+    const round = this.selectedRound;
+    document.getElementById('gameRoundInfo').textContent =
+      `Seed ${round.seed} · intensity ${round.intensity}% · ${round.duration / 1000}s · budget ${round.budget}`;
+
+    const shop = document.getElementById('gameShop');
+    shop.innerHTML = '';
+    GAME_ITEMS.forEach(item => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'editor-input editor-input-number';
+      input.min = 0;
+      input.max = item.max;
+      input.step = 1;
+      input.value = 0;
+      input.dataset.item = item.id;
+
+      const name = document.createElement('span');
+      name.textContent = item.name;
+      const price = document.createElement('span');
+      price.className = 'game-price';
+      price.textContent = item.max > 1 ? `${item.price} each` : item.price;
+
+      label.append(name, price, input);
+      shop.appendChild(label);
+    });
+    this.updateBudget();
+  },
+
+  // Read the shop's inputs; returns false if they exceed the budget
+  updateBudget() {
+    this.purchases = {};
+    document.querySelectorAll('#gameShop input').forEach(input => {
+      const item = GAME_ITEMS.find(candidate => candidate.id === input.dataset.item);
+      const count = MathUtils.clamp(parseInt(input.value) || 0, 0, item.max);
+      input.value = count;
+      this.purchases[item.id] = count;
+    });
+    this.spent = GAME_ITEMS.reduce((sum, item) => sum + item.price * this.purchases[item.id], 0);
+
+    const left = this.selectedRound.budget - this.spent;
+    const budget = document.getElementById('gameBudget');
+    budget.textContent = left.toLocaleString();
+    budget.classList.toggle('over', left < 0);
+    document.getElementById('gameStart').disabled = left < 0;
+    return left >= 0;
+  },
+
+  start() {
+    if (!this.updateBudget()) return;
+    const round = this.selectedRound;
+
+    TopologyEditor.exit();
+    SimulationController.reset();
+
+    // The round's seed and intensity are fixed so every player faces the same campaign
+    this.previous = { seed: AppState.seed, intensity: AppState.intensity };
+    AppState.seed = round.seed;
+    SimulationController.updateIntensity(round.intensity);
+    this.lockInputs(true);
+
+    const defense = { ...SCENARIOS[round.scenario].defense };
+    GAME_ITEMS.forEach(item => {
+      const count = this.purchases[item.id];
+      if (count > 0 && item.defense) {
+        Object.assign(defense, item.defense(count, defense));
+      }
+    });
+    SimulationController.loadScenario(round.scenario, { defense });
+
+    const simulation = AppState.simulation;
+    this.edge = simulation.nodes.find(node => node.acl);
+    GAME_ITEMS.forEach(item => {
+      const count = this.purchases[item.id];
+      if (count > 0 && item.apply) {
+        item.apply(simulation, count, this.edge);
+      }
+    });
+
+    // The rules are what was bought, so they can only be looked at once the round is over
+    document.getElementById('firewallPanel').classList.add('hidden');
+
+    this.round = round;
+    this.simulation = simulation;
+    this.seconds = [];
+    this.counted = { served: 0, lost: 0 };
+    this.alertsSeen = 0;
+    simulation.schedule(1000, () => this.tick());
+    simulation.schedule(round.duration, () => this.finish());
+
+    document.getElementById('gameResult').classList.add('hidden');
+    document.getElementById('gameStatus').textContent = `${round.name} in progress…`;
+    SimulationController.start();
+  },
+
+  // Once per simulated second: judge whether the service was up, and let the IDS sensor act
+  tick() {
+    if (this.simulation !== AppState.simulation || !this.round) return;
+    const metrics = this.simulation.getMetrics();
+
+    const served = metrics.legitimateServed - this.counted.served;
+    const lost = metrics.legitimateLost - this.counted.lost;
+    this.counted = { served: metrics.legitimateServed, lost: metrics.legitimateLost };
+    // A second in which no request finished keeps the previous verdict
+    const up = served + lost === 0 ? this.seconds[this.seconds.length - 1] !== false : served / (served + lost) >= GAME_UPTIME_THRESHOLD;
+    this.seconds.push(up);
+
+    if (this.purchases.ids > 0) {
+      this.respondToAlerts();
+    }
+    this.simulation.schedule(1000, () => this.tick());
+  },
+
+  // The sensor blocks every host the IDS raised a medium or high alert about at the edge; alerts
+  // about forged addresses or about many sources at once name no host to block
+  respondToAlerts() {
+    const alerts = AppState.ids.alerts.slice(this.alertsSeen);
+    this.alertsSeen = AppState.ids.alerts.length;
+
+    alerts.forEach(alert => {
+      if (alert.severity === 'low') return;
+      const node = this.simulation.findNode(alert.source);
+      if (!node || node === this.edge) return;
+      if (this.edge.acl.rules.some(rule => rule.source === node.id)) return;
+      this.edge.acl.rules.unshift(FirewallACL.normalizeRule({ action: 'deny', source: node.id, name: `IDS: ${alert.rule}` }));
+    });
+  },
+
+  finish() {
+    if (this.simulation !== AppState.simulation || !this.round) return;
+    const metrics = this.simulation.getMetrics();
+    const result = this.score(metrics);
+
+    SimulationController.pause();
+    this.scores.unshift(result);
+    this.round = null;
+    this.restore();
+    // The rules were bought for this round, so they can be looked at but not changed
+    FirewallPanel.attach(this.simulation, { readOnly: true });
+
+    document.getElementById('gameStatus').textContent = `${result.round} · score ${result.score.toLocaleString()}`;
+    this.renderResult(result);
+  },
+
+  // Uptime and goodput earn up to 1000 points each; every unit of money spent costs one
+  score(metrics) {
+    const up = this.seconds.filter(Boolean).length;
+    const uptime = this.seconds.length > 0 ? up / this.seconds.length * 100 : 0;
+    const finished = metrics.legitimateServed + metrics.legitimateLost;
+    const goodput = finished > 0 ? metrics.legitimateServed / finished * 100 : 0;
+    const cost = this.spent + (metrics.replicaCost || 0);
+
+    return {
+      round: this.round.name,
+      seed: this.round.seed,
+      uptime,
+      goodput,
+      cost,
+      score: Math.round(uptime * 10 + goodput * 10 - cost)
+    };
+  },
+
+  renderResult(result) {
+    const list = document.getElementById('gameResult');
+    list.innerHTML = '';
+    [
+      ['Uptime', `${result.uptime.toFixed(1)}%`],
+      ['Goodput', `${result.goodput.toFixed(1)}%`],
+      ['Cost', result.cost.toFixed(2)],
+      ['Score', result.score.toLocaleString()]
+    ].forEach(([label, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      list.append(dt, dd);
+    });
+    list.classList.remove('hidden');
+
+    const scores = document.getElementById('gameScores');
+    scores.innerHTML = '';
+    this.scores.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `${entry.round} (seed ${entry.seed}): ${entry.score.toLocaleString()}`;
+      scores.appendChild(item);
+    });
+  },
+
+  // Loading another scenario abandons the round in progress
+  detach() {
+    if (!this.round) return;
+    document.getElementById('gameStatus').textContent = `${this.round.name} abandoned`;
+    this.round = null;
+    this.restore();
+  },
+
+  restore() {
+    if (this.previous) {
+      AppState.seed = this.previous.seed;
+      SimulationController.updateIntensity(this.previous.intensity);
+      this.previous = null;
+    }
+    this.lockInputs(false);
+    this.updateBudget();
+  },
+
+  lockInputs(locked) {
+    const intensity = document.getElementById('intensitySlider');
+    intensity.disabled = locked;
+    intensity.value = AppState.intensity;
+    const seed = document.getElementById('seedInput');
+    seed.disabled = locked;
+    seed.value = AppState.seed;
+    document.getElementById('gameRound').disabled = locked;
+    document.querySelectorAll('#gameShop input').forEach(input => {
+      input.disabled = locked;
+    });
+    document.getElementById('gameStart').disabled = locked;
+  }
+};
+
+// Export to global scope
+window.GameMode = GameMode;
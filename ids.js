@@ -0,0 +1,221 @@
+/**
+ * Darth Invader - Intrusion Detection
+ * Watches every packet of a simulation for signature matches and traffic anomalies
+ */
+
+const IDS_SEVERITIES = ['low', 'medium', 'high'];
+
+// Signatures match packet header fields by dotted path: a value must be equal, a RegExp must match,
+// and true only requires the field to be present
+const IDS_SIGNATURES = [
+  { id: 'ssh-probe', name: 'SSH connection attempt', severity: 'low', match: { 'ip.protocol': 'tcp', 'transport.destinationPort': 22 } },
+  { id: 'telnet', name: 'Telnet connection attempt', severity: 'medium', match: { 'ip.protocol': 'tcp', 'transport.destinationPort': 23 } },
+  { id: 'smb-exploit', name: 'SMB exploit attempt', severity: 'high', match: { 'transport.destinationPort': 445, 'application.summary': /exploit/i } },
+  { id: 'irc-botnet', name: 'IRC botnet channel', severity: 'high', match: { 'transport.destinationPort': 6667 } },
+  { id: 'payload-tampered', name: 'Payload modified in transit', severity: 'high', match: { 'application.tamperedBy': true } }
+];
+
+// Anomaly thresholds; rates are measured over fixed windows of simulated time
+const IDS_DEFAULTS = {
+  window: 1000, // ms
+  sourceRate: 8, // packets/s from one source address
+  destinationRate: 20, // packets/s to one destination
+  arpReplyRate: 3, // ARP replies/s from one MAC address
+  suppress: 5000 // ms during which repeats of an alert (same rule and subject) are folded into it
+};
+
+class IntrusionDetector {
+  // options: { signatures?, ...IDS_DEFAULTS overrides }
+  constructor(options = {}) {
+    const { signatures, ...thresholds } = options;
+    this.signatures = signatures || IDS_SIGNATURES;
+    this.config = { ...IDS_DEFAULTS, ...thresholds };
+    this.simulation = null;
+    this.alerts = [];
+    this.truePositives = 0;
+    this.falsePositives = 0;
+    this.latest = new Map(); // "rule|subject" -> most recent alert, for suppression
+    this.counters = new Map(); // "kind|key" -> { window, count, sources } packets counted in the current window
+    this.window = 0; // index of the current window
+    this.arpClaims = new Map(); // IP -> { mac, malicious } from the latest ARP reply for it
+    this.macClaims = new Map(); // MAC -> Set of IPs it has claimed
+  }
+
+  attach(simulation) {
+    simulation.events.on(PACKET_EVENTS, event => this.inspect(event.time, event.type, event.packet));
+    this.simulation = simulation;
+  }
+
+  // The sensor sees each packet when it is sent and again when a node rewrites it in transit
+  inspect(time, type, packet) {
+    if (type !== 'create' && type !== 'intercept') return;
+    const headers = packet.headers;
+
+    if (headers.arp) {
+      this.inspectArp(time, packet);
+      return;
+    }
+
+    // A rewritten packet is blamed on the node that rewrote it, not on its sender
+    const source = type === 'intercept' ? packet.target.id : this.describeSource(headers.ip.source);
+    this.signatures.forEach(signature => {
+      if (IntrusionDetector.matches(signature, headers)) {
+        this.raise(time, { rule: signature.id, name: signature.name, severity: signature.severity, source }, packet);
+      }
+    });
+
+    // Rewrites are not new traffic, so only new packets count towards the rates
+    if (type !== 'create') return;
+
+    // Forged addresses change with every packet, so they share one alert
+    if (source === headers.ip.source) {
+      this.raise(time, { rule: 'unknown-source', name: 'Source address of no known host (spoofed?)', severity: 'medium', source, subject: '*' }, packet);
+    }
+    if (this.exceeds(time, 'source', headers.ip.source, this.config.sourceRate)) {
+      this.raise(time, { rule: 'source-rate', name: `Rate spike: over ${this.config.sourceRate} packets/s from one source`, severity: 'medium', source }, packet);
+    }
+
+    // Floods from many sources are tracked per destination
+    const flood = this.exceeds(time, 'destination', headers.ip.destination, this.config.destinationRate, headers.ip.source);
+    if (flood) {
+      const destination = this.describeSource(headers.ip.destination);
+      this.raise(time, {
+        rule: 'destination-rate',
+        name: `Flood: over ${this.config.destinationRate} packets/s to ${destination}`,
+        severity: 'high',
+        source: flood.sources.size > 1 ? `${flood.sources.size} sources` : source,
+        subject: destination
+      }, packet);
+    }
+  }
+
+  // Replies that flood the segment, or that move an address to a new MAC, are the marks of ARP spoofing
+  inspectArp(time, packet) {
+    const arp = packet.headers.arp;
+    if (arp.operation !== 'reply') return;
+    const source = this.describeSource(arp.senderMac, 'mac');
+
+    if (this.exceeds(time, 'arp', arp.senderMac, this.config.arpReplyRate)) {
+      this.raise(time, { rule: 'arp-storm', name: `ARP reply storm: over ${this.config.arpReplyRate} replies/s`, severity: 'medium', source }, packet);
+    }
+
+    // Either side of a conflict may be the forged one, so it is a true positive if either claim is
+    const known = this.arpClaims.get(arp.senderIp);
+    const malicious = IntrusionDetector.isMalicious(packet);
+    if (known && known.mac !== arp.senderMac) {
+      this.raise(time, {
+        rule: 'arp-conflict',
+        name: `${arp.senderIp} claimed by ${known.mac} and ${arp.senderMac}`,
+        severity: 'high',
+        source,
+        subject: arp.senderIp,
+        malicious: malicious || known.malicious
+      }, packet);
+    }
+    this.arpClaims.set(arp.senderIp, { mac: arp.senderMac, malicious });
+
+    const claimed = this.macClaims.get(arp.senderMac) || new Set();
+    claimed.add(arp.senderIp);
+    this.macClaims.set(arp.senderMac, claimed);
+    if (claimed.size > 1) {
+      this.raise(time, { rule: 'duplicate-mac', name: `One MAC claims ${claimed.size} addresses`, severity: 'high', source }, packet);
+    }
+  }
+
+  static matches(signature, headers) {
+    return Object.entries(signature.match).every(([path, expected]) => {
+      const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), headers);
+      if (expected === true) return value !== undefined;
+      if (expected instanceof RegExp) return value !== undefined && expected.test(String(value));
+      return value === expected;
+    });
+  }
+
+  // Count a packet for `key` (from `sender`, if given); returns the window's counter once its count
+  // passes `rate` per second, otherwise null
+  exceeds(time, kind, key, rate, sender) {
+    const window = Math.floor(time / this.config.window);
+    if (window > this.window) {
+      this.window = window;
+      this.evictCounters();
+    }
+    const id = `${kind}|${key}`;
+    let counter = this.counters.get(id);
+    if (!counter || counter.window !== window) {
+      counter = { window, count: 0, sources: new Set() };
+      this.counters.set(id, counter);
+    }
+    counter.count++;
+    if (sender !== undefined) {
+      counter.sources.add(sender);
+    }
+    return counter.count > rate * this.config.window / 1000 ? counter : null;
+  }
+
+  // Counters of past windows are never read again; without this, a flood from forged addresses would
+  // leave one behind for every address it used
+  evictCounters() {
+    this.counters.forEach((counter, id) => {
+      if (counter.window < this.window) {
+        this.counters.delete(id);
+      }
+    });
+  }
+
+  // Id of the node with this address, or the address itself if no node has it
+  describeSource(address, key = 'ip') {
+    const owner = this.simulation && this.simulation.nodes.find(node => node[key] === address);
+    return owner ? owner.id : address;
+  }
+
+  // A packet is malicious if it is attack traffic (or was turned into it on the way) or its sender is
+  // an attacker or a compromised host
+  static isMalicious(packet) {
+    return packet.type === 'attack' || packet.origin.type === 'attacker' || packet.origin.infection === 'infected';
+  }
+
+  // alert: { rule, name, severity, source, subject?, malicious? }; repeats for the same subject (the source
+  // by default) within the suppression window only bump the earlier alert's count. Whether the alert is a
+  // true positive follows from the packet unless `malicious` says otherwise.
+  raise(time, spec, packet) {
+    const { rule, name, severity, source, subject = source } = spec;
+    const malicious = spec.malicious === undefined ? IntrusionDetector.isMalicious(packet) : spec.malicious;
+    const key = `${rule}|${subject}`;
+    const previous = this.latest.get(key);
+    if (previous && time - previous.lastSeen < this.config.suppress) {
+      previous.count++;
+      previous.lastSeen = time;
+      return previous;
+    }
+
+    const alert = {
+      id: this.alerts.length + 1,
+      time,
+      lastSeen: time,
+      rule,
+      name,
+      severity,
+      source,
+      packetId: packet.id,
+      truePositive: malicious,
+      count: 1
+    };
+    this.alerts.push(alert);
+    this.latest.set(key, alert);
+    if (malicious) {
+      this.truePositives++;
+    } else {
+      this.falsePositives++;
+    }
+    return alert;
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IDS_SEVERITIES, IDS_SIGNATURES, IDS_DEFAULTS, IntrusionDetector };
+} else {
+  window.IDS_SEVERITIES = IDS_SEVERITIES;
+  window.IDS_SIGNATURES = IDS_SIGNATURES;
+  window.IntrusionDetector = IntrusionDetector;
+}
@@ -0,0 +1,302 @@
+/**
+ * Darth Invader - Packet Inspector
+ * Click a packet or node on the canvas to see its simulated headers and addresses
+ */
+
+const PacketInspector = {
+  selection: null, // { kind: 'packet' | 'node', id }
+  packet: null, // last seen state of the selected packet (kept after it leaves the wire)
+  shown: null, // what the panel currently displays, to skip redundant redraws
+  hovered: null, // id of the node whose ARP cache the tooltip lists
+  shownTooltip: null,
+
+  init() {
+    document.getElementById('inspectorClose').addEventListener('click', () => this.close());
+  },
+
+  // The replay frame being shown, or the live simulation
+  get scene() {
+    return ReplayController.active ? ReplayController.frame : AppState.simulation;
+  },
+
+  // Select the packet or node under `point`; returns false if there is neither
+  pick(point) {
+    const scene = this.scene;
+    if (!scene) return false;
+
+    // Packets are drawn on top, so they win over nodes; the last drawn is topmost
+    const packet = scene.packets.slice().reverse().find(p =>
+      p.active && MathUtils.distance(point.x, point.y, p.x, p.y) <= 8);
+    const node = packet ? null : scene.nodes.slice().reverse().find(n =>
+      MathUtils.distance(point.x, point.y, n.x, n.y) <= n.radius);
+
+    if (!packet && !node) return false;
+
+    this.selection = packet ? { kind: 'packet', id: packet.id } : { kind: 'node', id: node.id };
+    this.packet = packet;
+    this.shown = null;
+    document.getElementById('inspectorPanel').classList.remove('hidden');
+    this.refresh();
+    CanvasRenderer.render();
+    return true;
+  },
+
+  close() {
+    this.selection = null;
+    this.packet = null;
+    document.getElementById('inspectorPanel').classList.add('hidden');
+    CanvasRenderer.render();
+  },
+
+  // Hovering a node that keeps an ARP cache lists its entries beside the cursor (`client` is in page coordinates)
+  hover(point, client) {
+    const scene = this.scene;
+    const node = point && scene ? scene.nodes.slice().reverse().find(n =>
+      n.arpCache && MathUtils.distance(point.x, point.y, n.x, n.y) <= n.radius) : null;
+    const tooltip = document.getElementById('nodeTooltip');
+
+    this.hovered = node ? node.id : null;
+    tooltip.classList.toggle('hidden', !node);
+    if (!node) return;
+
+    const wrapper = tooltip.parentElement.getBoundingClientRect();
+    tooltip.style.left = `${client.x - wrapper.left + 14}px`;
+    tooltip.style.top = `${client.y - wrapper.top + 14}px`;
+    this.shownTooltip = null;
+    this.showTooltip(node, scene);
+  },
+
+  // Entries pointing at a MAC other than the address owner's are poisoned
+  showTooltip(node, scene) {
+    const rows = [...node.arpCache].map(([ip, entry]) => {
+      const owner = scene.nodes.find(other => other.ip === ip);
+      const holder = scene.nodes.find(other => other.mac === entry.mac);
+      return [owner ? owner.id : ip, `${entry.mac}${holder && holder !== owner ? ` (${holder.id})` : ''}`,
+        owner && owner.mac !== entry.mac ? 'tampered' : ''];
+    });
+
+    const summary = JSON.stringify([node.id, rows]);
+    if (this.shownTooltip === summary) return;
+    this.shownTooltip = summary;
+
+    const tooltip = document.getElementById('nodeTooltip');
+    tooltip.innerHTML = '';
+    const heading = document.createElement('h4');
+    heading.textContent = `${node.id} · ARP cache`;
+    const list = document.createElement('dl');
+    rows.forEach(([label, value, className]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      if (className) dd.className = className;
+      list.append(dt, dd);
+    });
+    tooltip.append(heading, list);
+  },
+
+  // Follow the selection in the current scene; called every frame and after seeking a replay
+  refresh() {
+    const scene = this.scene;
+    if (this.hovered && scene) {
+      const node = scene.nodes.find(n => n.id === this.hovered && n.arpCache);
+      if (node) this.showTooltip(node, scene);
+    }
+    if (!this.selection || !scene) return;
+
+    if (this.selection.kind === 'node') {
+      const node = scene.nodes.find(n => n.id === this.selection.id);
+      if (node) this.showNode(node, scene);
+      return;
+    }
+
+    const current = scene.packets.find(p => p.id === this.selection.id && p.active);
+    if (current) {
+      this.packet = current;
+    }
+    if (this.packet) {
+      // Recorded frames only hold packets on the wire, so a replayed packet's fate is unknown
+      const status = current ? 'in flight' : (ReplayController.active ? 'not on the wire' : this.packet.status);
+      this.showPacket(this.packet, status, scene);
+    }
+  },
+
+  // Ring around the selected packet or node (drawn over the scene)
+  drawSelection(ctx, scene) {
+    if (!this.selection || !scene) return;
+
+    const item = this.selection.kind === 'node' ?
+      scene.nodes.find(n => n.id === this.selection.id) :
+      scene.packets.find(p => p.id === this.selection.id && p.active);
+    if (!item) return;
+
+    ctx.beginPath();
+    ctx.arc(item.x, item.y, (item.radius || 6) + 5, 0, Math.PI * 2);
+    ctx.strokeStyle = Colors.get('text');
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  },
+
+  // "10.0.0.3 (client-1)" for addresses that belong to a node in the scene
+  describeAddress(address, key, scene) {
+    const owner = scene.nodes.find(node => node[key] && node[key].toLowerCase() === String(address).toLowerCase());
+    return owner ? `${address} (${owner.id})` : String(address);
+  },
+
+  showPacket(packet, status, scene) {
+    const headers = packet.headers;
+    if (this.shown && this.shown.headers === headers && this.shown.status === status) return;
+    this.shown = { headers, status };
+
+    const { ethernet, ip, transport, application, arp } = headers;
+    if (arp) {
+      this.render(`Packet #${packet.id}`, `${packet.type} · ${status}`, [
+        ['Ethernet (L2)', [
+          ['Source MAC', this.describeAddress(ethernet.source, 'mac', scene)],
+          ['Destination MAC', ethernet.destination === 'ff:ff:ff:ff:ff:ff' ? 'broadcast' : this.describeAddress(ethernet.destination, 'mac', scene)]
+        ]],
+        [`ARP ${arp.operation}`, [
+          ['Sender MAC', this.describeAddress(arp.senderMac, 'mac', scene)],
+          ['Sender IP', this.describeAddress(arp.senderIp, 'ip', scene)],
+          ['Target IP', this.describeAddress(arp.targetIp, 'ip', scene)],
+          ['Summary', application.summary]
+        ]]
+      ]);
+      return;
+    }
+
+    const sections = [
+      ['Ethernet (L2)', [
+        ['Source MAC', this.describeAddress(ethernet.source, 'mac', scene)],
+        ['Destination MAC', this.describeAddress(ethernet.destination, 'mac', scene)]
+      ]],
+      ['IPv4 (L3)', [
+        ['Source IP', this.describeAddress(ip.source, 'ip', scene)],
+        ['Destination IP', this.describeAddress(ip.destination, 'ip', scene)],
+        ['TTL', ip.ttl],
+        ...(ip.length ? [['Length', `${ip.length.toLocaleString()} bytes`]] : []),
+        ['Protocol', ip.protocol.toUpperCase()]
+      ]],
+      [`${ip.protocol.toUpperCase()} (L4)`, ip.protocol === 'icmp' ?
+        [['Type', transport.type]] :
+        [
+          ['Source port', transport.sourcePort],
+          ['Destination port', transport.destinationPort],
+          ...(ip.protocol === 'tcp' ? [['Flags', transport.flags.join(', ') || 'none']] : [])
+        ]],
+      ['Application (L7)', [
+        ['Payload', application.summary, application.tamperedBy ? 'tampered' : ''],
+        ...(application.tamperedBy ? [['Rewritten by', application.tamperedBy, 'tampered']] : []),
+        ...(application.tls ? [['TLS certificate', application.tls.certificate, application.tls.certificate === 'genuine' ? '' : 'tampered']] : []),
+        ...(application.dns ? [['DNS query ID', application.dns.id]] : []),
+        ...(application.dns && application.dns.signed !== undefined ?
+          [['DNSSEC', application.dns.signed ? 'signed' : 'unsigned', application.dns.signed ? '' : 'tampered']] : [])
+      ]]
+    ];
+
+    this.render(`Packet #${packet.id}`, `${packet.type} · ${status}`, sections);
+  },
+
+  showNode(node, scene) {
+    const failed = new Set(scene.failedLinks);
+    const neighbours = scene.nodes.filter(other => node.connections.includes(other.id) || other.connections.includes(node.id));
+    const links = neighbours.map(other => (failed.has(Router.linkKey(node.id, other.id)) ? `${other.id} (down)` : other.id));
+
+    // The live simulation counts the packets each node and link handled
+    const traffic = [];
+    if (scene.counters) {
+      Object.entries(scene.counters.node(node.id))
+        .filter(([, count]) => count > 0)
+        .forEach(([name, count]) => traffic.push([name[0].toUpperCase() + name.slice(1), count.toLocaleString()]));
+      neighbours.forEach(other => {
+        const link = scene.counters.link(node.id, other.id);
+        if (link.packets > 0) {
+          traffic.push([`Link to ${other.id}`, `${link.packets.toLocaleString()} packet(s), ${link.dropped.toLocaleString()} lost`]);
+        }
+      });
+    }
+
+    // Live nodes also expose their queue and firewall; recorded frames only keep the layout
+    const state = [];
+    if (node.queue) {
+      state.push(['Queue', `${node.queue.length} packet(s), ${Math.round(node.queue.utilization(scene.time) * 100)}% busy`]);
+    }
+    if (node.infection) {
+      state.push(['Infection', node.infection, node.infection === 'infected' ? 'tampered' : '']);
+    }
+    if (node.balancer) {
+      state.push(['Pool', `${node.balancer.active.length} of ${node.balancer.replicas.length} replica(s) active`]);
+    }
+    if (node.replicaState) {
+      state.push(['Replica', node.replicaState]);
+    }
+    if (node.halfOpen) {
+      state.push(['Half-open', `${node.halfOpen.size} connection(s)`]);
+    }
+    if (node.accounts) {
+      const accounts = [...node.accounts.values()];
+      state.push(['Accounts', `${accounts.length}, ${accounts.filter(account => account.compromised).length} compromised, ` +
+        `${accounts.filter(account => account.lockedUntil > scene.time).length} locked`]);
+    }
+    if (node.dnsCache) {
+      state.push(['DNS cache', `${node.dnsCache.size} name(s), ${node.pendingQueries.size} lookup(s) pending`]);
+    }
+    if (node.arpCache) {
+      const poisoned = [...node.arpCache].filter(([ip, entry]) => {
+        const owner = scene.nodes.find(other => other.ip === ip);
+        return owner && owner.mac !== entry.mac;
+      }).length;
+      state.push(['ARP cache', `${node.arpCache.size} entries, ${poisoned} poisoned`, poisoned > 0 ? 'tampered' : '']);
+    }
+    if (node.camTable) {
+      state.push(['MAC table', `${node.camTable.size} address(es)`]);
+    }
+    if (node.acl) {
+      state.push(['Firewall', `${node.acl.rules.length} rule(s), default ${node.acl.defaultPolicy}`]);
+    }
+    if (node.routes && Object.keys(node.routes).length > 0) {
+      state.push(['Static routes', Object.entries(node.routes).map(([to, via]) => `${to} → ${via}`).join(', ')]);
+    }
+
+    const summary = JSON.stringify([node.ip, node.mac, links, state, traffic]);
+    if (this.shown && this.shown.summary === summary) return;
+    this.shown = { summary };
+
+    this.render(node.id, node.type, [
+      ['Addresses', [['IP', node.ip], ['MAC', node.mac]]],
+      ['Links', [['Neighbours', links.join(', ') || 'none']]],
+      ...(state.length > 0 ? [['State', state]] : []),
+      ...(traffic.length > 0 ? [['Traffic', traffic]] : [])
+    ]);
+  },
+
+  // sections: [[title, [[label, value, className?], ...]], ...]
+  render(title, subtitle, sections) {
+    document.getElementById('inspectorTitle').textContent = title;
+    document.getElementById('inspectorSubtitle').textContent = subtitle;
+
+    const body = document.getElementById('inspectorBody');
+    body.innerHTML = '';
+    sections.forEach(([heading, rows]) => {
+      const section = document.createElement('section');
+      const h4 = document.createElement('h4');
+      h4.textContent = heading;
+      const list = document.createElement('dl');
+      rows.forEach(([label, value, className]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = label;
+        const dd = document.createElement('dd');
+        dd.textContent = value;
+        if (className) dd.className = className;
+        list.append(dt, dd);
+      });
+      section.append(h4, list);
+      body.appendChild(section);
+    });
+  }
+};
+
+// Export to global scope
+window.PacketInspector = PacketInspector;
@@ -0,0 +1,526 @@
+/**
+ * Darth Invader - Scenario Loader
+ * Validates declarative scenario files and registers them with the simulation engine
+ *
+ * Scenario file format (version 1):
+ *   format       "darth-invader-scenario"
+ *   version      1
+ *   id, name     unique id and display name; optional description and icon
+ *   engine       simulation engine ("generic", "ddos", "firewall", "synflood", "dnspoison",
+ *                "credentials", "worm", "arpspoof", "mitm", "amplification", ...)
+ *   routing      "shortest-path" (default) or "static" (only follow node routes)
+ *   nodes        [{ id, role, x, y, radius?, ip?, mac?, routes?, firewall? }] with x/y as fractions
+ *                of the canvas; ip/mac default to 10.0.0.n and 02:00:00:00:00:n for the n-th node;
+ *                routes maps destination ids (or "*") to a neighbouring next hop;
+ *                firewall nodes may carry an ACL: { defaultPolicy, rules, rateLimit? };
+ *                loadbalancer nodes spread traffic addressed to them over the servers linked to them
+ *   groups       [{ idPrefix, role, count, radius?, layout, linkTo? }] generated nodes
+ *   links        [{ from, to }] connections between node ids
+ *   traffic      [{ from, to, packetType, rate, protocol?, port?, flags?, payload?, ... }] traffic sources;
+ *                from/to accept node ids, "@role" or arrays of either; packets are routed hop by hop;
+ *                spoofSource forges a random source address; start/end (ms of simulated time) limit
+ *                the source to part of the run, e.g. the phases of an attack campaign
+ *   attack       engine-specific attack parameters
+ *   defense      engine-specific defense parameters
+ *   controls     [{ key, label, type, section?, min?, max?, step?, options? }] parameters the user can
+ *                change while the simulation runs; section is "defense" (default) or "attack" and type
+ *                is "toggle" (true/false), "number" or "select" (one of options)
+ *   load         queueing model for every host that receives traffic: serviceRate (packets/s),
+ *                bufferSize (packets), discipline ("tail-drop" or "red") and RED thresholds
+ *                (fractions of the buffer)
+ */
+
+// The browser loads utils.js, acl.js, queue.js and attacks.js first; in Node, pull their exports into scope
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./utils.js'), require('./acl.js'), require('./queue.js'), require('./attacks.js'));
+}
+
+const SCENARIO_FORMAT = 'darth-invader-scenario';
+const SCENARIO_VERSION = 1;
+
+// Raised when a scenario file fails validation; `errors` lists every problem found
+class ScenarioError extends Error {
+  constructor(errors, source = 'scenario') {
+    super(`Invalid ${source}:\n` + errors.map(error => `  - ${error}`).join('\n'));
+    this.name = 'ScenarioError';
+    this.errors = errors;
+  }
+}
+
+const ScenarioLoader = {
+  builtIn: ['ddos', 'mitm', 'firewall', 'arpSpoof', 'synFlood', 'dnsPoison', 'bruteForce', 'worm', 'amplification', 'autoscaling', 'challenge'],
+  roles: ['server', 'client', 'attacker', 'firewall', 'switch', 'loadbalancer'],
+  packetTypes: ['normal', 'attack'],
+  tcpFlags: ['SYN', 'ACK', 'FIN', 'RST', 'PSH', 'URG'],
+  routingModes: ['shortest-path', 'static'],
+  controlTypes: ['toggle', 'number', 'select'],
+  controlSections: ['defense', 'attack'],
+  layouts: {
+    circle: ['x', 'y', 'radius'],
+    grid: ['x', 'y', 'size'],
+    column: ['x', 'yStart', 'yEnd']
+  },
+
+  loadDefaults: {
+    serviceRate: 50,
+    bufferSize: 50,
+    discipline: 'tail-drop',
+    redMinThreshold: 0.3,
+    redMaxThreshold: 0.9,
+    redMaxProbability: 0.1
+  },
+
+  isScenarioFile(data) {
+    return Boolean(data) && data.format === SCENARIO_FORMAT;
+  },
+
+  // Validate raw file contents and return a normalized scenario (defaults filled in)
+  parse(data, source = 'scenario') {
+    const errors = this.validate(data);
+    if (errors.length > 0) {
+      throw new ScenarioError(errors, source);
+    }
+    return this.normalize(data);
+  },
+
+  // Add a scenario to the registry, replacing an imported one with the same id; built-in scenarios
+  // cannot be replaced, so runs and challenge rounds of them stay comparable
+  register(scenario, source = 'scenario') {
+    if (this.builtIn.includes(scenario.id) && SCENARIOS[scenario.id]) {
+      throw new ScenarioError([`id "${scenario.id}" belongs to a built-in scenario; give the scenario another id`], source);
+    }
+    SCENARIOS[scenario.id] = scenario;
+    return scenario;
+  },
+
+  // Fetch the built-in scenario files (browser)
+  async loadBuiltIns(basePath = 'scenarios') {
+    const scenarios = await Promise.all(this.builtIn.map(async id => {
+      const response = await fetch(`${basePath}/${id}.json`);
+      if (!response.ok) {
+        throw new Error(`Could not load ${basePath}/${id}.json (HTTP ${response.status})`);
+      }
+      return this.parse(await response.json(), `${id}.json`);
+    }));
+    scenarios.forEach(scenario => this.register(scenario));
+    return scenarios;
+  },
+
+  // Read the built-in scenario files from disk (Node)
+  loadBuiltInsSync(basePath = require('path').join(__dirname, 'scenarios')) {
+    return this.builtIn.map(id => this.register(this.loadFileSync(require('path').join(basePath, `${id}.json`))));
+  },
+
+  loadFileSync(filePath) {
+    const fs = require('fs');
+    const path = require('path');
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+    return this.parse(data, path.basename(filePath));
+  },
+
+  validate(data) {
+    const errors = [];
+    const error = (path, message) => errors.push(`${path}: ${message}`);
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['scenario must be a JSON object'];
+    }
+
+    if (data.format !== SCENARIO_FORMAT) {
+      error('format', `expected "${SCENARIO_FORMAT}"`);
+    }
+    if (data.version !== SCENARIO_VERSION) {
+      error('version', `unsupported version ${JSON.stringify(data.version)} (supported: ${SCENARIO_VERSION})`);
+    }
+    if (typeof data.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(data.id)) {
+      error('id', 'must be a string of letters, digits, "-" or "_" starting with a letter');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      error('name', 'must be a non-empty string');
+    }
+    if (data.description !== undefined && typeof data.description !== 'string') {
+      error('description', 'must be a string');
+    }
+    if (data.icon !== undefined && typeof data.icon !== 'string') {
+      error('icon', 'must be a string');
+    }
+    if (!Object.prototype.hasOwnProperty.call(ENGINES, data.engine)) {
+      error('engine', `must be one of ${Object.keys(ENGINES).join(', ')}`);
+    }
+    if (data.routing !== undefined && !this.routingModes.includes(data.routing)) {
+      error('routing', `must be one of ${this.routingModes.join(', ')}`);
+    }
+
+    const nodeIds = new Set();
+    const addId = (id, path) => {
+      if (nodeIds.has(id)) {
+        error(path, `duplicate node id "${id}"`);
+      }
+      nodeIds.add(id);
+    };
+    const addresses = new Set();
+    const addAddress = (address, path) => {
+      if (addresses.has(address.toLowerCase())) {
+        error(path, `duplicate address "${address}"`);
+      }
+      addresses.add(address.toLowerCase());
+    };
+
+    // Nodes
+    const nodes = this.checkArray(data, 'nodes', error);
+    nodes.forEach((node, i) => {
+      const path = `nodes[${i}]`;
+      if (!this.checkObject(node, path, error)) return;
+
+      if (typeof node.id !== 'string' || node.id === '') {
+        error(`${path}.id`, 'must be a non-empty string');
+      } else {
+        addId(node.id, `${path}.id`);
+      }
+      this.checkRole(node.role, `${path}.role`, error);
+      this.checkNumber(node.x, `${path}.x`, error, { min: 0, max: 1 });
+      this.checkNumber(node.y, `${path}.y`, error, { min: 0, max: 1 });
+      this.checkNumber(node.radius, `${path}.radius`, error, { min: 1, optional: true });
+      if (node.ip !== undefined) {
+        if (AddressUtils.isIp(node.ip)) {
+          addAddress(node.ip, `${path}.ip`);
+        } else {
+          error(`${path}.ip`, 'must be an IPv4 address such as "10.0.0.1"');
+        }
+      }
+      if (node.mac !== undefined) {
+        if (AddressUtils.isMac(node.mac)) {
+          addAddress(node.mac, `${path}.mac`);
+        } else {
+          error(`${path}.mac`, 'must be a MAC address such as "02:00:00:00:00:01"');
+        }
+      }
+      if (node.firewall !== undefined) {
+        if (node.role !== 'firewall') {
+          error(`${path}.firewall`, 'only firewall nodes can have an ACL');
+        }
+        this.checkFirewall(node.firewall, `${path}.firewall`, error);
+      }
+    });
+
+    // Groups
+    const groups = this.checkArray(data, 'groups', error, true);
+    groups.forEach((group, i) => {
+      const path = `groups[${i}]`;
+      if (!this.checkObject(group, path, error)) return;
+
+      if (typeof group.idPrefix !== 'string' || group.idPrefix === '') {
+        error(`${path}.idPrefix`, 'must be a non-empty string');
+      }
+      this.checkRole(group.role, `${path}.role`, error);
+      this.checkNumber(group.count, `${path}.count`, error, { min: 0, max: 500, integer: true });
+      this.checkNumber(group.radius, `${path}.radius`, error, { min: 1, optional: true });
+
+      if (this.checkObject(group.layout, `${path}.layout`, error)) {
+        const required = this.layouts[group.layout.type];
+        if (!required) {
+          error(`${path}.layout.type`, `must be one of ${Object.keys(this.layouts).join(', ')}`);
+        } else {
+          required.forEach(key => this.checkNumber(group.layout[key], `${path}.layout.${key}`, error));
+        }
+        this.checkNumber(group.layout.jitter, `${path}.layout.jitter`, error, { min: 0, optional: true });
+        if (group.layout.skip !== undefined && !Array.isArray(group.layout.skip)) {
+          error(`${path}.layout.skip`, 'must be an array of cell indices');
+        }
+      }
+
+      if (group.linkTo !== undefined && !Array.isArray(group.linkTo)) {
+        error(`${path}.linkTo`, 'must be an array of node ids');
+      }
+
+      if (typeof group.idPrefix === 'string' && Number.isInteger(group.count)) {
+        for (let n = 0; n < group.count; n++) {
+          addId(`${group.idPrefix}${n}`, `${path}.idPrefix`);
+        }
+      }
+    });
+
+    // Links and routes can only be checked once every id is known
+    groups.forEach((group, i) => {
+      if (group && Array.isArray(group.linkTo)) {
+        group.linkTo.forEach((id, j) => this.checkNodeId(id, nodeIds, `groups[${i}].linkTo[${j}]`, error));
+      }
+    });
+    nodes.forEach((node, i) => {
+      if (!node || node.routes === undefined) return;
+      if (!this.checkObject(node.routes, `nodes[${i}].routes`, error)) return;
+      Object.entries(node.routes).forEach(([destination, nextHop]) => {
+        if (destination !== '*') {
+          this.checkNodeId(destination, nodeIds, `nodes[${i}].routes`, error);
+        }
+        this.checkNodeId(nextHop, nodeIds, `nodes[${i}].routes.${destination}`, error);
+      });
+    });
+
+    // Links
+    const links = this.checkArray(data, 'links', error, true);
+    links.forEach((link, i) => {
+      const path = `links[${i}]`;
+      if (!this.checkObject(link, path, error)) return;
+      this.checkNodeId(link.from, nodeIds, `${path}.from`, error);
+      this.checkNodeId(link.to, nodeIds, `${path}.to`, error);
+    });
+
+    // Traffic sources
+    const traffic = this.checkArray(data, 'traffic', error, true);
+    traffic.forEach((source, i) => {
+      const path = `traffic[${i}]`;
+      if (!this.checkObject(source, path, error)) return;
+
+      this.checkSelector(source.from, nodeIds, `${path}.from`, error);
+      this.checkSelector(source.to, nodeIds, `${path}.to`, error);
+      if (!this.packetTypes.includes(source.packetType)) {
+        error(`${path}.packetType`, `must be one of ${this.packetTypes.join(', ')}`);
+      }
+      this.checkNumber(source.rate, `${path}.rate`, error, { min: 0 });
+      this.checkNumber(source.probability, `${path}.probability`, error, { min: 0, max: 1, optional: true });
+      this.checkNumber(source.speed, `${path}.speed`, error, { min: 0.01, optional: true });
+      if (source.protocol !== undefined && !ACL_PROTOCOLS.includes(source.protocol)) {
+        error(`${path}.protocol`, `must be one of ${ACL_PROTOCOLS.join(', ')}`);
+      }
+      this.checkNumber(source.port, `${path}.port`, error, { min: 0, max: 65535, integer: true, optional: true });
+      if (source.flags !== undefined && (!Array.isArray(source.flags) || !source.flags.every(flag => this.tcpFlags.includes(flag)))) {
+        error(`${path}.flags`, `must be an array of TCP flags (${this.tcpFlags.join(', ')})`);
+      }
+      if (source.payload !== undefined && typeof source.payload !== 'string') {
+        error(`${path}.payload`, 'must be a string');
+      }
+      ['scaleWithIntensity', 'spoofSource'].forEach(key => {
+        if (source[key] !== undefined && typeof source[key] !== 'boolean') {
+          error(`${path}.${key}`, 'must be true or false');
+        }
+      });
+      this.checkNumber(source.start, `${path}.start`, error, { min: 0, optional: true });
+      this.checkNumber(source.end, `${path}.end`, error, { min: 0, optional: true });
+      if (typeof source.start === 'number' && typeof source.end === 'number' && source.end <= source.start) {
+        error(`${path}.end`, 'must be after start');
+      }
+    });
+
+    // Attack and defense parameters, and the controls that adjust them
+    const sections = {};
+    this.controlSections.forEach(section => {
+      if (data[section] === undefined) {
+        sections[section] = {};
+      } else if (this.checkObject(data[section], section, error)) {
+        sections[section] = data[section];
+      }
+    });
+    const controls = this.checkArray(data, 'controls', error, true);
+    controls.forEach((control, i) => {
+      const path = `controls[${i}]`;
+      if (!this.checkObject(control, path, error)) return;
+
+      if (typeof control.label !== 'string' || control.label.trim() === '') {
+        error(`${path}.label`, 'must be a non-empty string');
+      }
+      if (!this.controlTypes.includes(control.type)) {
+        error(`${path}.type`, `must be one of ${this.controlTypes.join(', ')}`);
+      }
+      const section = control.section === undefined ? 'defense' : control.section;
+      if (!this.controlSections.includes(section)) {
+        error(`${path}.section`, `must be one of ${this.controlSections.join(', ')}`);
+        return;
+      }
+      const parameters = sections[section];
+      if (!parameters) return;
+      if (typeof control.key !== 'string' || !Object.prototype.hasOwnProperty.call(parameters, control.key)) {
+        error(`${path}.key`, `must name a parameter in ${section}`);
+        return;
+      }
+
+      const value = parameters[control.key];
+      const valuePath = `${section}.${control.key}`;
+      if (control.type === 'toggle' && typeof value !== 'boolean') {
+        error(valuePath, 'must be true or false (it has a toggle control)');
+      }
+      if (control.type === 'select') {
+        if (!Array.isArray(control.options) || control.options.length === 0 || !control.options.every(option => typeof option === 'string')) {
+          error(`${path}.options`, 'must be a non-empty array of strings');
+        } else if (!control.options.includes(value)) {
+          error(valuePath, `must be one of ${control.options.join(', ')}`);
+        }
+      }
+      if (control.type === 'number') {
+        ['min', 'max', 'step'].forEach(key => this.checkNumber(control[key], `${path}.${key}`, error, { optional: true }));
+        if (typeof control.min === 'number' && typeof control.max === 'number' && control.min >= control.max) {
+          error(`${path}.max`, 'must be greater than min');
+        }
+        this.checkNumber(value, valuePath, error, {
+          min: typeof control.min === 'number' ? control.min : -Infinity,
+          max: typeof control.max === 'number' ? control.max : Infinity
+        });
+      }
+    });
+
+    // Load parameters
+    if (data.load !== undefined && this.checkObject(data.load, 'load', error)) {
+      const load = data.load;
+      Object.keys(load).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(this.loadDefaults, key)) {
+          error(`load.${key}`, `unknown parameter (expected ${Object.keys(this.loadDefaults).join(', ')})`);
+        }
+      });
+      this.checkNumber(load.serviceRate, 'load.serviceRate', error, { min: 0.1, optional: true });
+      this.checkNumber(load.bufferSize, 'load.bufferSize', error, { min: 0, integer: true, optional: true });
+      if (load.discipline !== undefined && !QUEUE_DISCIPLINES.includes(load.discipline)) {
+        error('load.discipline', `must be one of ${QUEUE_DISCIPLINES.join(', ')}`);
+      }
+      ['redMinThreshold', 'redMaxThreshold', 'redMaxProbability'].forEach(key => {
+        this.checkNumber(load[key], `load.${key}`, error, { min: 0, max: 1, optional: true });
+      });
+      const { redMinThreshold, redMaxThreshold } = { ...this.loadDefaults, ...load };
+      if (typeof redMinThreshold === 'number' && typeof redMaxThreshold === 'number' && redMinThreshold >= redMaxThreshold) {
+        error('load.redMaxThreshold', 'must be greater than redMinThreshold');
+      }
+    }
+
+    return errors;
+  },
+
+  normalize(data) {
+    return {
+      format: SCENARIO_FORMAT,
+      version: SCENARIO_VERSION,
+      id: data.id,
+      name: data.name,
+      description: data.description || '',
+      icon: data.icon || '🧪',
+      engine: data.engine,
+      routing: data.routing || 'shortest-path',
+      nodes: data.nodes.map(node => ({ radius: 20, ...node })),
+      groups: (data.groups || []).map(group => ({ radius: 15, linkTo: [], ...group })),
+      links: (data.links || []).map(link => ({ ...link })),
+      traffic: (data.traffic || []).map(source => ({
+        probability: 1,
+        speed: 1.5,
+        protocol: 'tcp',
+        port: 80,
+        scaleWithIntensity: true,
+        ...source
+      })),
+      attack: { ...data.attack },
+      defense: { ...data.defense },
+      controls: (data.controls || []).map(control => ({ section: 'defense', ...control })),
+      load: { ...this.loadDefaults, ...data.load }
+    };
+  },
+
+  checkArray(data, key, error, optional = false) {
+    const value = data[key];
+    if (value === undefined && optional) return [];
+    if (!Array.isArray(value)) {
+      error(key, 'must be an array');
+      return [];
+    }
+    return value;
+  },
+
+  checkObject(value, path, error) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      error(path, 'must be an object');
+      return false;
+    }
+    return true;
+  },
+
+  checkNumber(value, path, error, { min = -Infinity, max = Infinity, integer = false, optional = false } = {}) {
+    if (value === undefined && optional) return;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      error(path, 'must be a number');
+    } else if (integer && !Number.isInteger(value)) {
+      error(path, 'must be a whole number');
+    } else if (value < min || value > max) {
+      const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+      error(path, `must be ${range}, got ${value}`);
+    }
+  },
+
+  checkFirewall(acl, path, error) {
+    if (!this.checkObject(acl, path, error)) return;
+
+    if (acl.defaultPolicy !== undefined && !ACL_ACTIONS.includes(acl.defaultPolicy)) {
+      error(`${path}.defaultPolicy`, `must be one of ${ACL_ACTIONS.join(', ')}`);
+    }
+
+    if (acl.rules !== undefined && !Array.isArray(acl.rules)) {
+      error(`${path}.rules`, 'must be an array');
+    }
+    (Array.isArray(acl.rules) ? acl.rules : []).forEach((rule, i) => {
+      const rulePath = `${path}.rules[${i}]`;
+      if (!this.checkObject(rule, rulePath, error)) return;
+
+      if (!ACL_ACTIONS.includes(rule.action)) {
+        error(`${rulePath}.action`, `must be one of ${ACL_ACTIONS.join(', ')}`);
+      }
+      if (rule.name !== undefined && typeof rule.name !== 'string') {
+        error(`${rulePath}.name`, 'must be a string');
+      }
+      ['source', 'destination'].forEach(key => {
+        const pattern = rule[key];
+        const valid = pattern === undefined ||
+          (typeof pattern === 'string' && pattern !== '') ||
+          (Array.isArray(pattern) && pattern.length > 0 && pattern.every(item => typeof item === 'string' && item !== ''));
+        if (!valid) {
+          error(`${rulePath}.${key}`, 'must be a node id, "@role" or id pattern such as "client-*", or an array of these');
+        }
+      });
+      if (rule.protocol !== undefined && rule.protocol !== '*' && !ACL_PROTOCOLS.includes(rule.protocol)) {
+        error(`${rulePath}.protocol`, `must be "*" or one of ${ACL_PROTOCOLS.join(', ')}`);
+      }
+      if (rule.port !== undefined && !FirewallACL.parsePort(rule.port)) {
+        error(`${rulePath}.port`, 'must be "*", a port number or a range such as "1024-65535"');
+      }
+    });
+
+    if (acl.rateLimit !== undefined && this.checkObject(acl.rateLimit, `${path}.rateLimit`, error)) {
+      this.checkNumber(acl.rateLimit.rate, `${path}.rateLimit.rate`, error, { min: 0 });
+      this.checkNumber(acl.rateLimit.burst, `${path}.rateLimit.burst`, error, { min: 1, optional: true });
+    }
+  },
+
+  checkRole(role, path, error) {
+    if (!this.roles.includes(role)) {
+      error(path, `must be one of ${this.roles.join(', ')}`);
+    }
+  },
+
+  checkNodeId(id, nodeIds, path, error) {
+    if (!nodeIds.has(id)) {
+      error(path, `unknown node id ${JSON.stringify(id)}`);
+    }
+  },
+
+  checkSelector(selector, nodeIds, path, error) {
+    if (Array.isArray(selector)) {
+      if (selector.length === 0) {
+        error(path, 'must not be empty');
+      }
+      selector.forEach((item, i) => this.checkSelector(item, nodeIds, `${path}[${i}]`, error));
+      return;
+    }
+    if (typeof selector === 'string' && selector.startsWith('@')) {
+      this.checkRole(selector.slice(1), path, error);
+      return;
+    }
+    this.checkNodeId(selector, nodeIds, path, error);
+  }
+};
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ScenarioError, ScenarioLoader };
+} else {
+  window.ScenarioError = ScenarioError;
+  window.ScenarioLoader = ScenarioLoader;
+}
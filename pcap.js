@@ -0,0 +1,168 @@
+/**
+ * Darth Invader - PCAP Export
+ * Writes recorded packet transmissions as a libpcap capture that Wireshark can open
+ */
+
+const PCAP_MAGIC = 0xa1b2c3d4; // microsecond timestamps
+const PCAP_LINKTYPE_ETHERNET = 1;
+const PCAP_SNAPLEN = 65535;
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_ARP = 0x0806;
+const IP_PROTOCOLS = { icmp: 1, tcp: 6, udp: 17 };
+const TCP_FLAG_BITS = { FIN: 0x01, SYN: 0x02, RST: 0x04, PSH: 0x08, ACK: 0x10, URG: 0x20 };
+
+const PcapWriter = {
+  // Recorder event types that put a frame on a link
+  transmissionEvents: ['create', 'forward'],
+
+  // events: SimulationRecorder events; returns the capture file as a Uint8Array
+  write(events) {
+    const records = events
+      .filter(event => this.transmissionEvents.includes(event.type) && event.headers)
+      .map(event => ({ time: event.time, frame: this.encodeFrame(event.headers, event.packetId) }));
+
+    const size = 24 + records.reduce((sum, record) => sum + 16 + record.frame.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    // Global header (little-endian)
+    view.setUint32(0, PCAP_MAGIC, true);
+    view.setUint16(4, 2, true);
+    view.setUint16(6, 4, true);
+    view.setInt32(8, 0, true); // timestamps are UTC
+    view.setUint32(12, 0, true);
+    view.setUint32(16, PCAP_SNAPLEN, true);
+    view.setUint32(20, PCAP_LINKTYPE_ETHERNET, true);
+
+    // Timestamps count from the epoch, so Wireshark's times are the simulated time
+    let offset = 24;
+    records.forEach(({ time, frame }) => {
+      const micros = Math.round(time * 1000);
+      view.setUint32(offset, Math.floor(micros / 1e6), true);
+      view.setUint32(offset + 4, micros % 1e6, true);
+      view.setUint32(offset + 8, frame.length, true);
+      view.setUint32(offset + 12, frame.length, true);
+      bytes.set(frame, offset + 16);
+      offset += 16 + frame.length;
+    });
+
+    return bytes;
+  },
+
+  // Ethernet frame for one set of packet headers
+  encodeFrame(headers, packetId) {
+    const payload = headers.arp ? this.encodeArp(headers.arp) : this.encodeIpv4(headers, packetId);
+    const frame = new Uint8Array(14 + payload.length);
+    frame.set(this.macBytes(headers.ethernet.destination), 0);
+    frame.set(this.macBytes(headers.ethernet.source), 6);
+    new DataView(frame.buffer).setUint16(12, headers.arp ? ETHERTYPE_ARP : ETHERTYPE_IPV4);
+    frame.set(payload, 14);
+    return frame;
+  },
+
+  // arp: { operation: 'request' | 'reply', senderMac, senderIp, targetMac, targetIp }
+  encodeArp(arp) {
+    const bytes = new Uint8Array(28);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, 1); // Ethernet
+    view.setUint16(2, ETHERTYPE_IPV4);
+    bytes[4] = 6;
+    bytes[5] = 4;
+    view.setUint16(6, arp.operation === 'reply' ? 2 : 1);
+    bytes.set(this.macBytes(arp.senderMac), 8);
+    bytes.set(this.ipBytes(arp.senderIp), 14);
+    bytes.set(this.macBytes(arp.targetMac || '00:00:00:00:00:00'), 18);
+    bytes.set(this.ipBytes(arp.targetIp), 24);
+    return bytes;
+  },
+
+  encodeIpv4(headers, packetId) {
+    const { ip, transport, application } = headers;
+    const data = new TextEncoder().encode(application.summary);
+    const segment = this.encodeTransport(ip, transport, data, packetId);
+
+    const bytes = new Uint8Array(20 + segment.length);
+    const view = new DataView(bytes.buffer);
+    bytes[0] = 0x45; // IPv4, 20-byte header
+    view.setUint16(2, bytes.length);
+    view.setUint16(4, packetId & 0xffff); // identification stays the same across hops
+    view.setUint16(6, 0x4000); // don't fragment
+    bytes[8] = Math.max(0, ip.ttl);
+    bytes[9] = IP_PROTOCOLS[ip.protocol];
+    bytes.set(this.ipBytes(ip.source), 12);
+    bytes.set(this.ipBytes(ip.destination), 16);
+    view.setUint16(10, this.checksum(bytes.subarray(0, 20)));
+    bytes.set(segment, 20);
+    return bytes;
+  },
+
+  encodeTransport(ip, transport, data, packetId) {
+    if (ip.protocol === 'icmp') {
+      const bytes = new Uint8Array(8 + data.length);
+      const view = new DataView(bytes.buffer);
+      bytes[0] = transport.type === 'echo-reply' ? 0 : 8;
+      view.setUint16(4, packetId >>> 16 & 0xffff);
+      view.setUint16(6, packetId & 0xffff);
+      bytes.set(data, 8);
+      view.setUint16(2, this.checksum(bytes));
+      return bytes;
+    }
+
+    const headerLength = ip.protocol === 'tcp' ? 20 : 8;
+    const bytes = new Uint8Array(headerLength + data.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, transport.sourcePort);
+    view.setUint16(2, transport.destinationPort);
+
+    if (ip.protocol === 'tcp') {
+      const flags = transport.flags.reduce((bits, flag) => bits | TCP_FLAG_BITS[flag], 0);
+      view.setUint32(4, packetId * 1460 >>> 0); // sequence numbers derived from the packet id
+      view.setUint32(8, flags & TCP_FLAG_BITS.ACK ? 1 : 0);
+      bytes[12] = 5 << 4;
+      bytes[13] = flags;
+      view.setUint16(14, 65535);
+    } else {
+      view.setUint16(4, bytes.length);
+    }
+    bytes.set(data, headerLength);
+
+    // Checksum over the IPv4 pseudo-header and the segment
+    const pseudo = new Uint8Array(12 + bytes.length);
+    pseudo.set(this.ipBytes(ip.source), 0);
+    pseudo.set(this.ipBytes(ip.destination), 4);
+    pseudo[9] = IP_PROTOCOLS[ip.protocol];
+    new DataView(pseudo.buffer).setUint16(10, bytes.length);
+    pseudo.set(bytes, 12);
+    const checksum = this.checksum(pseudo);
+    view.setUint16(ip.protocol === 'tcp' ? 16 : 6, ip.protocol === 'udp' && checksum === 0 ? 0xffff : checksum);
+    return bytes;
+  },
+
+  // Internet checksum (RFC 1071)
+  checksum(bytes) {
+    let sum = 0;
+    for (let i = 0; i < bytes.length; i += 2) {
+      sum += (bytes[i] << 8) + (i + 1 < bytes.length ? bytes[i + 1] : 0);
+    }
+    while (sum > 0xffff) {
+      sum = (sum & 0xffff) + (sum >>> 16);
+    }
+    return ~sum & 0xffff;
+  },
+
+  macBytes(mac) {
+    return Uint8Array.from(mac.split(':').map(part => parseInt(part, 16)));
+  },
+
+  ipBytes(ip) {
+    return Uint8Array.from(ip.split('.').map(Number));
+  }
+};
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PcapWriter };
+} else {
+  window.PcapWriter = PcapWriter;
+}
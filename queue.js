@@ -0,0 +1,91 @@
+/**
+ * Darth Invader - Server Queues
+ * Single-server FIFO queue with a finite buffer and tail-drop or RED admission
+ */
+
+const QUEUE_DISCIPLINES = ['tail-drop', 'red'];
+
+// Weight of each new sample in RED's moving average of the queue length
+const RED_AVERAGE_WEIGHT = 0.2;
+
+class ServerQueue {
+  // config: the scenario's `load` section; rng is only used for RED's early drops
+  constructor(config, rng) {
+    this.serviceTime = 1000 / config.serviceRate; // ms of simulated time per packet
+    this.bufferSize = config.bufferSize;
+    this.discipline = config.discipline;
+    this.redMin = config.redMinThreshold * config.bufferSize;
+    this.redMax = config.redMaxThreshold * config.bufferSize;
+    this.redMaxProbability = config.redMaxProbability;
+    this.rng = rng;
+    this.window = 1000; // ms over which utilization and delay are measured
+
+    this.entries = []; // { packet, arrival, departure } in FIFO order; the head is in service
+    this.lastDeparture = 0;
+    this.averageLength = 0;
+    this.completed = []; // { time, delay } of packets served within the window
+  }
+
+  // Packets in the system, including the one in service
+  get length() {
+    return this.entries.length;
+  }
+
+  // Admit a packet arriving at `time`; returns null if queued, otherwise the drop reason
+  enqueue(packet, time) {
+    const waiting = Math.max(0, this.entries.length - 1);
+
+    if (this.discipline === 'red') {
+      this.averageLength += RED_AVERAGE_WEIGHT * (waiting - this.averageLength);
+      if (this.averageLength >= this.redMax) return 'red drop';
+      if (this.averageLength > this.redMin) {
+        const probability = this.redMaxProbability * (this.averageLength - this.redMin) / (this.redMax - this.redMin);
+        if (this.rng.next() < probability) return 'red drop';
+      }
+    }
+
+    if (waiting >= this.bufferSize) return 'queue full';
+
+    // Service times are fixed, so each packet's departure is known as soon as it is queued
+    const departure = Math.max(time, this.lastDeparture) + this.serviceTime;
+    this.lastDeparture = departure;
+    this.entries.push({ packet, arrival: time, departure });
+    return null;
+  }
+
+  // Remove and return the packets whose service has finished by `time`
+  process(time) {
+    const served = [];
+    while (this.entries.length > 0 && this.entries[0].departure <= time) {
+      const entry = this.entries.shift();
+      this.completed.push({ time: entry.departure, delay: entry.departure - entry.arrival });
+      served.push(entry.packet);
+    }
+
+    while (this.completed.length > 0 && this.completed[0].time <= time - this.window) {
+      this.completed.shift();
+    }
+    return served;
+  }
+
+  // Fraction of the last window the server spent serving packets
+  utilization(time) {
+    const elapsed = Math.min(this.window, time);
+    if (elapsed <= 0) return 0;
+    return Math.min(1, this.completed.length * this.serviceTime / elapsed);
+  }
+
+  // Mean time (waiting plus service) of packets served within the last window, or null if none were
+  averageDelay() {
+    if (this.completed.length === 0) return null;
+    return this.completed.reduce((sum, entry) => sum + entry.delay, 0) / this.completed.length;
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QUEUE_DISCIPLINES, ServerQueue };
+} else {
+  window.QUEUE_DISCIPLINES = QUEUE_DISCIPLINES;
+  window.ServerQueue = ServerQueue;
+}
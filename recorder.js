@@ -0,0 +1,168 @@
+/**
+ * Darth Invader - Simulation Recorder
+ * Records packet events, metric samples and per-step frames of a run for replay
+ */
+
+class SimulationRecorder {
+  constructor(options = {}) {
+    this.sampleInterval = options.sampleInterval || 1000; // ms of simulated time between metric samples
+    this.maxFrames = options.maxFrames || 36000; // 10 minutes of simulated time at 60 steps/s
+    // Memory goes mostly to the packets on the wire in each frame, so they have a budget of their own:
+    // about 135 MB, or 45 s of a DDoS at full intensity
+    this.maxPackets = options.maxPackets || 1000000;
+    this.packetCount = 0; // packet snapshots held by the frames
+    this.maxEvents = options.maxEvents || 500000; // packet events and samples kept; the oldest go first
+    this.captureFrames = options.captureFrames !== false; // false keeps only events (e.g. for PCAP export)
+    this.frames = [];
+    this.events = [];
+    this.discardedEvents = 0;
+    this.nextSampleTime = 0;
+    this.truncated = false; // true once frames stopped being captured
+    this.lastNodes = null;
+  }
+
+  attach(simulation) {
+    simulation.events.on(PACKET_EVENTS, event => this.recordEvent(event.time, event.type, event.packet, event.reason));
+    simulation.events.on('step', () => this.captureFrame(simulation));
+    this.captureFrame(simulation);
+  }
+
+  recordEvent(time, type, packet, reason) {
+    const event = {
+      time,
+      type, // 'create', 'forward', 'deliver', 'intercept', 'drop', 'block', 'sample'
+      packetId: packet.id,
+      packetType: packet.type,
+      source: packet.source.id,
+      target: packet.target.id,
+      destination: packet.destination.id,
+      headers: packet.headers
+    };
+    if (reason) {
+      event.reason = reason;
+    }
+    this.addEvent(event);
+  }
+
+  // Trimmed a tenth at a time, as EventLog does, so a long run does not shift the list on every event
+  addEvent(event) {
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      const excess = this.events.length - this.maxEvents + Math.ceil(this.maxEvents / 10);
+      this.events.splice(0, excess);
+      this.discardedEvents += excess;
+    }
+  }
+
+  // Metric samples go on after the frame or packet limit is reached; only frames stop
+  captureFrame(simulation) {
+    const metrics = simulation.getMetrics();
+
+    if (this.captureFrames && !this.truncated) {
+      const packets = simulation.packets.filter(packet => packet.active);
+      if (this.frames.length >= this.maxFrames || this.packetCount + packets.length > this.maxPackets) {
+        this.truncated = true;
+      } else {
+        this.packetCount += packets.length;
+        this.frames.push({
+          time: simulation.time,
+          nodes: this.snapshotNodes(simulation.nodes),
+          failedLinks: Array.from(simulation.failedLinks),
+          packets: packets.map(packet => ({
+            id: packet.id,
+            type: packet.type,
+            x: packet.x,
+            y: packet.y,
+            active: true,
+            source: packet.source.id,
+            target: packet.target.id,
+            headers: packet.headers
+          })),
+          metrics
+        });
+      }
+    }
+
+    if (simulation.time >= this.nextSampleTime) {
+      this.addEvent({ time: simulation.time, type: 'sample', metrics });
+      this.nextSampleTime = simulation.time + this.sampleInterval;
+    }
+  }
+
+  // Node layouts (and infection and replica states) rarely change, so consecutive frames share one snapshot until they do
+  snapshotNodes(nodes) {
+    const previous = this.lastNodes;
+    const unchanged = previous && previous.length === nodes.length && nodes.every((node, i) => {
+      const snapshot = previous[i];
+      return snapshot.id === node.id &&
+        snapshot.type === node.type &&
+        snapshot.x === node.x &&
+        snapshot.y === node.y &&
+        snapshot.radius === node.radius &&
+        snapshot.infection === node.infection &&
+        snapshot.replicaState === node.replicaState &&
+        snapshot.connections.length === node.connections.length &&
+        snapshot.connections.every((id, j) => id === node.connections[j]);
+    });
+
+    if (!unchanged) {
+      this.lastNodes = nodes.map(node => ({
+        id: node.id,
+        type: node.type,
+        x: node.x,
+        y: node.y,
+        radius: node.radius,
+        infection: node.infection,
+        replicaState: node.replicaState,
+        ip: node.ip,
+        mac: node.mac,
+        pulsePhase: node.pulsePhase,
+        connections: node.connections.slice()
+      }));
+    }
+
+    return this.lastNodes;
+  }
+
+  get startTime() {
+    return this.frames.length > 0 ? this.frames[0].time : 0;
+  }
+
+  get endTime() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].time : 0;
+  }
+
+  // Last frame captured at or before `time`
+  frameAt(time) {
+    if (this.frames.length === 0) return null;
+
+    let low = 0;
+    let high = this.frames.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.frames[mid].time <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return this.frames[low];
+  }
+
+  indexOfFrame(frame) {
+    return this.frames.indexOf(frame);
+  }
+
+  // First recorded event of the given type after `afterTime`
+  findEvent(type, afterTime = -Infinity) {
+    return this.events.find(event => event.type === type && event.time > afterTime) || null;
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SimulationRecorder };
+} else {
+  window.SimulationRecorder = SimulationRecorder;
+}
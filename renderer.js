@@ -0,0 +1,160 @@
+/**
+ * Darth Invader - Scene Renderer
+ * Draws simulation state (nodes, connections, packets) onto a 2D canvas
+ */
+
+const SceneRenderer = {
+  nodeIcons: {
+    server: '🖥',
+    client: '💻',
+    attacker: '☠',
+    firewall: '🛡',
+    switch: '⇄',
+    loadbalancer: '⚖'
+  },
+
+  // Worm scenarios color clients by infection state
+  infectionColors: {
+    infected: 'attacker',
+    patched: 'firewall'
+  },
+
+  packetColors: {
+    normal: 'packetNormal',
+    attack: 'packetAttack',
+    exposed: 'packetExposed', // read by an attacker but passed on unchanged
+    blocked: 'packetBlocked'
+  },
+
+  // `scene` is a live simulation or a recorded replay frame (both expose nodes, packets and time)
+  render(ctx, scene) {
+    // Draw connections
+    this.drawConnections(ctx, scene.nodes, scene.failedLinks);
+
+    // Draw nodes
+    scene.nodes.forEach(node => this.drawNode(ctx, node, scene.time));
+
+    // Draw packets
+    scene.packets.forEach(packet => this.drawPacket(ctx, packet));
+  },
+
+  // Failed links (keys from Router.linkKey) are drawn as dashed red lines
+  drawConnections(ctx, nodes, failedLinks = []) {
+    const failed = new Set(failedLinks);
+    ctx.lineWidth = 1;
+
+    nodes.forEach(node => {
+      node.connections.forEach(targetId => {
+        const target = nodes.find(n => n.id === targetId);
+        if (!target) return;
+
+        const down = failed.has(Router.linkKey(node.id, target.id));
+        ctx.strokeStyle = down ? Colors.withAlpha(Colors.get('attacker'), 0.6) : Colors.withAlpha(Colors.get('text'), 0.1);
+        ctx.setLineDash(down ? [6, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(node.x, node.y);
+        ctx.lineTo(target.x, target.y);
+        ctx.stroke();
+      });
+    });
+    ctx.setLineDash([]);
+  },
+
+  // Replicas a load balancer is not using are faded
+  replicaAlpha: {
+    warming: 0.55,
+    off: 0.2
+  },
+
+  drawNode(ctx, node, time) {
+    const color = Colors.get(this.infectionColors[node.infection] || node.type);
+    ctx.globalAlpha = this.replicaAlpha[node.replicaState] || 1;
+
+    // Pulsing effect for attackers and infected hosts
+    if (node.type === 'attacker' || node.infection === 'infected') {
+      const pulse = Math.sin(time * 0.005 + node.pulsePhase) * 0.3 + 1;
+      const glowSize = node.radius * pulse;
+
+      // Glow
+      const gradient = ctx.createRadialGradient(node.x, node.y, 0, node.x, node.y, glowSize);
+      gradient.addColorStop(0, Colors.withAlpha(color, 0.4));
+      gradient.addColorStop(1, Colors.withAlpha(color, 0));
+      ctx.fillStyle = gradient;
+      ctx.fillRect(node.x - glowSize, node.y - glowSize, glowSize * 2, glowSize * 2);
+    }
+
+    // Node circle
+    ctx.beginPath();
+    ctx.arc(node.x, node.y, node.radius, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+
+    // Border
+    ctx.strokeStyle = Colors.withAlpha(color, 0.8);
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    // Type indicator
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `${node.radius}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(this.nodeIcons[node.type] || '?', node.x, node.y);
+    ctx.globalAlpha = 1;
+  },
+
+  // Packets grow with the logarithm of their size: a typical 64-byte packet is 6px, a 64 KB one 12px
+  packetRadius(packet) {
+    const length = packet.headers && packet.headers.ip ? packet.headers.ip.length : 0;
+    return length > 0 ? Math.max(4, Math.min(14, 6 + 2 * Math.log10(length / 64))) : 6;
+  },
+
+  drawPacket(ctx, packet) {
+    if (!packet.active) return;
+
+    const color = Colors.get(this.packetColors[packet.type]);
+    const radius = this.packetRadius(packet);
+
+    // Draw trail (recorded frames don't keep one)
+    if (packet.trail) {
+      packet.trail.forEach((point, i) => {
+        const alpha = (i / packet.trail.length) * 0.5;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 2, 0, Math.PI * 2);
+        ctx.fillStyle = Colors.withAlpha(color, alpha);
+        ctx.fill();
+      });
+    }
+
+    // Draw packet
+    const gradient = ctx.createRadialGradient(packet.x, packet.y, 0, packet.x, packet.y, radius * 4 / 3);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, Colors.withAlpha(color, 0.2));
+
+    ctx.beginPath();
+    ctx.arc(packet.x, packet.y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    // Glow
+    ctx.shadowBlur = 10;
+    ctx.shadowColor = color;
+    ctx.beginPath();
+    ctx.arc(packet.x, packet.y, radius * 2 / 3, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.shadowBlur = 0;
+
+    // Encrypted payloads are ringed
+    if (packet.headers && packet.headers.application && packet.headers.application.tls) {
+      ctx.beginPath();
+      ctx.arc(packet.x, packet.y, radius + 2, 0, Math.PI * 2);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+  }
+};
+
+// Export to global scope
+window.SceneRenderer = SceneRenderer;
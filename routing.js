@@ -0,0 +1,116 @@
+/**
+ * Darth Invader - Packet Routing
+ * Next-hop selection over the node connection graph (shortest path or static routes)
+ */
+
+class Router {
+  // mode: 'shortest-path' falls back to BFS when a node has no static route; 'static' never does
+  constructor(nodes, mode = 'shortest-path') {
+    this.nodes = nodes;
+    this.mode = mode;
+    this.failedLinks = new Set();
+    this.invalidate();
+  }
+
+  // Undirected key for the link between two node ids
+  static linkKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  // Call whenever nodes, connections or link states change
+  invalidate() {
+    this.adjacency = null;
+    this.tables = new Map();
+  }
+
+  isLinkUp(a, b) {
+    return !this.failedLinks.has(Router.linkKey(a, b));
+  }
+
+  setLinkState(a, b, up) {
+    const key = Router.linkKey(a, b);
+    if (up) {
+      this.failedLinks.delete(key);
+    } else {
+      this.failedLinks.add(key);
+    }
+    this.invalidate();
+  }
+
+  // Neighbours over working links; connections are treated as bidirectional
+  getAdjacency() {
+    if (this.adjacency) return this.adjacency;
+
+    const adjacency = new Map(this.nodes.map(node => [node.id, []]));
+    const link = (a, b) => {
+      if (!adjacency.has(a) || !adjacency.has(b) || !this.isLinkUp(a, b)) return;
+      if (!adjacency.get(a).includes(b)) adjacency.get(a).push(b);
+      if (!adjacency.get(b).includes(a)) adjacency.get(b).push(a);
+    };
+
+    this.nodes.forEach(node => node.connections.forEach(targetId => link(node.id, targetId)));
+    this.adjacency = adjacency;
+    return adjacency;
+  }
+
+  // Shortest-path next hops towards one destination, built by a BFS outward from it
+  getTable(destinationId) {
+    if (this.tables.has(destinationId)) return this.tables.get(destinationId);
+
+    const adjacency = this.getAdjacency();
+    const nextHop = new Map();
+    const queue = [destinationId];
+    const visited = new Set(queue);
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      (adjacency.get(current) || []).forEach(neighbour => {
+        if (visited.has(neighbour)) return;
+        visited.add(neighbour);
+        nextHop.set(neighbour, current);
+        queue.push(neighbour);
+      });
+    }
+
+    this.tables.set(destinationId, nextHop);
+    return nextHop;
+  }
+
+  // Id of the neighbour `node` should forward to for `destination`, or null if unreachable
+  nextHop(node, destination) {
+    if (node.id === destination.id) return null;
+
+    const routes = node.routes || {};
+    const staticHop = routes[destination.id] || routes['*'];
+    if (staticHop) {
+      const adjacency = this.getAdjacency();
+      return (adjacency.get(node.id) || []).includes(staticHop) ? staticHop : null;
+    }
+
+    if (this.mode === 'static') return null;
+    return this.getTable(destination.id).get(node.id) || null;
+  }
+
+  // Full hop list from source to destination (ids), or null if unreachable
+  path(source, destination) {
+    const byId = new Map(this.nodes.map(node => [node.id, node]));
+    const path = [source.id];
+    let current = source;
+
+    while (current.id !== destination.id) {
+      const next = this.nextHop(current, destination);
+      if (!next || path.includes(next)) return null;
+      path.push(next);
+      current = byId.get(next);
+    }
+
+    return path;
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Router };
+} else {
+  window.Router = Router;
+}
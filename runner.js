@@ -0,0 +1,64 @@
+/**
+ * Darth Invader - Headless Simulation Runner
+ * Steps a simulation for a fixed amount of simulated time without any canvas
+ */
+
+// The browser loads the engine scripts first; in Node, pull their exports into scope
+// and read the built-in scenario files from disk
+if (typeof module !== 'undefined' && module.exports) {
+  Object.assign(globalThis, require('./utils.js'), require('./attacks.js'), require('./loader.js'));
+  ScenarioLoader.loadBuiltInsSync();
+}
+
+const SimulationRunner = {
+  defaults: {
+    scenario: 'ddos',
+    seed: 12345,
+    intensity: 50,
+    duration: 60,
+    width: 800,
+    height: 600,
+    defense: null, // optional overrides for the scenario's defense parameters
+    attack: null, // and for its attack parameters
+    recorder: null // optional SimulationRecorder to attach before stepping
+  },
+
+  run(options = {}) {
+    const config = { ...this.defaults, ...options };
+
+    if (!SCENARIOS[config.scenario]) {
+      throw new Error(`Unknown scenario: ${config.scenario} (available: ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+
+    const rng = new SeededRandom(config.seed);
+    const simulation = SimulationFactory.create(config.scenario, rng, config.width, config.height, {
+      defense: config.defense,
+      attack: config.attack
+    });
+    if (config.recorder) {
+      config.recorder.attach(simulation);
+    }
+
+    // Duration is in simulated seconds; step() advances one fixed time step
+    const steps = Math.round((config.duration * 1000) / SIMULATION_STEP_MS);
+    for (let i = 0; i < steps; i++) {
+      simulation.step(config.intensity);
+    }
+
+    return {
+      scenario: config.scenario,
+      seed: config.seed,
+      intensity: config.intensity,
+      duration: config.duration,
+      simulatedTime: Math.round(simulation.time) / 1000,
+      metrics: simulation.getMetrics()
+    };
+  }
+};
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SimulationRunner };
+} else {
+  window.SimulationRunner = SimulationRunner;
+}
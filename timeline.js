@@ -0,0 +1,105 @@
+/**
+ * Darth Invader - Metrics Timeline
+ * Samples a run's packet rates, latency percentiles, per-node throughput and metrics on simulated time
+ */
+
+const TIMELINE_RATES = ['sent', 'received', 'dropped', 'blocked'];
+const TIMELINE_PERCENTILES = [50, 90, 99];
+
+// Packet events counted towards each rate
+const TIMELINE_EVENT_RATES = {
+  create: 'sent',
+  deliver: 'received',
+  drop: 'dropped',
+  block: 'blocked'
+};
+
+class MetricsTimeline {
+  constructor(options = {}) {
+    this.interval = options.interval || 1000; // ms of simulated time per sample
+    this.samples = []; // [{ time (s), rates, latency, nodes, metrics }] for the whole run
+    this.simulation = null;
+    this.createdAt = new Map(); // packet id -> time it was sent, until it is delivered or lost
+    this.nextSampleTime = this.interval;
+    this.resetInterval();
+  }
+
+  attach(simulation) {
+    simulation.events.on(PACKET_EVENTS, event => this.observe(event.time, event.type, event.packet));
+    simulation.events.on('step', () => this.update(simulation));
+    this.simulation = simulation;
+  }
+
+  resetInterval() {
+    this.counts = Object.fromEntries(TIMELINE_RATES.map(rate => [rate, 0]));
+    this.latencies = []; // ms from sending to delivery of the packets delivered in this interval
+    this.throughput = new Map(); // node id -> packets it forwarded or received in this interval
+  }
+
+  // Count a packet event; nodes are credited with the packets they pass on and those delivered to them
+  observe(time, type, packet) {
+    const rate = TIMELINE_EVENT_RATES[type];
+    if (rate) {
+      this.counts[rate]++;
+    }
+
+    if (type === 'create') {
+      this.createdAt.set(packet.id, time);
+    } else if (type === 'forward') {
+      this.credit(packet.source.id);
+    } else if (type === 'deliver') {
+      this.credit(packet.destination.id);
+      if (this.createdAt.has(packet.id)) {
+        this.latencies.push(time - this.createdAt.get(packet.id));
+      }
+    }
+    if (type === 'deliver' || type === 'drop' || type === 'block') {
+      this.createdAt.delete(packet.id);
+    }
+  }
+
+  credit(nodeId) {
+    this.throughput.set(nodeId, (this.throughput.get(nodeId) || 0) + 1);
+  }
+
+  // After every simulation step; closes the interval once it is over
+  update(simulation) {
+    if (simulation.time < this.nextSampleTime) return;
+
+    const seconds = this.interval / 1000;
+    const sorted = this.latencies.slice().sort((a, b) => a - b);
+    this.samples.push({
+      time: Math.round(simulation.time) / 1000,
+      rates: Object.fromEntries(TIMELINE_RATES.map(rate => [rate, this.counts[rate] / seconds])),
+      latency: sorted.length > 0 ?
+        Object.fromEntries(TIMELINE_PERCENTILES.map(p => [`p${p}`, Math.round(MetricsTimeline.percentile(sorted, p))])) :
+        null,
+      nodes: Object.fromEntries(Array.from(this.throughput, ([id, count]) => [id, count / seconds])),
+      metrics: simulation.getMetrics()
+    });
+
+    this.nextSampleTime += this.interval;
+    this.resetInterval();
+  }
+
+  // Nearest-rank percentile of an ascending list
+  static percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+  }
+
+  // Ids of the nodes that handled traffic at any point of the run
+  get activeNodes() {
+    const ids = new Set();
+    this.samples.forEach(sample => Object.keys(sample.nodes).forEach(id => ids.add(id)));
+    return Array.from(ids);
+  }
+}
+
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TIMELINE_RATES, TIMELINE_PERCENTILES, MetricsTimeline };
+} else {
+  window.TIMELINE_RATES = TIMELINE_RATES;
+  window.TIMELINE_PERCENTILES = TIMELINE_PERCENTILES;
+  window.MetricsTimeline = MetricsTimeline;
+}
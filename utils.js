@@ -1,6 +1,6 @@
 /**
  * Darth Invader - Utility Functions
- * Seeded RNG, color helpers, and mathematical utilities
+ * Seeded RNG, event scheduler, color helpers, and mathematical utilities
  */
 
 // Seeded Random Number Generator (for deterministic simulations)
@@ -37,6 +37,57 @@ class SeededRandom {
   }
 }
 
+// Simulation-time event scheduler
+// Events are kept sorted by due time; events due at the same time run in the order they were scheduled
+class EventScheduler {
+  constructor() {
+    this.events = [];
+    this.sequence = 0;
+  }
+
+  schedule(time, callback) {
+    const event = { time, sequence: this.sequence++, callback };
+
+    // Binary search for the first event due strictly later
+    let low = 0;
+    let high = this.events.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.events[mid].time <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    this.events.splice(low, 0, event);
+    return event;
+  }
+
+  cancel(event) {
+    const index = this.events.indexOf(event);
+    if (index !== -1) {
+      this.events.splice(index, 1);
+    }
+  }
+
+  runDue(time) {
+    while (this.events.length > 0 && this.events[0].time <= time) {
+      const event = this.events.shift();
+      event.callback(event.time);
+    }
+  }
+
+  clear() {
+    this.events = [];
+    this.sequence = 0;
+  }
+
+  get size() {
+    return this.events.length;
+  }
+}
+
 // Color utilities
 const Colors = {
   light: {
@@ -46,8 +97,11 @@ const Colors = {
     client: '#10b981',
     attacker: '#ef4444',
     firewall: '#f59e0b',
+    switch: '#8b5cf6',
+    loadbalancer: '#14b8a6',
     packetNormal: '#60a5fa',
     packetAttack: '#f87171',
+    packetExposed: '#eab308',
     packetBlocked: '#34d399'
   },
   dark: {
@@ -57,12 +111,16 @@ const Colors = {
     client: '#10b981',
     attacker: '#fb7185',
     firewall: '#fbbf24',
+    switch: '#a78bfa',
+    loadbalancer: '#2dd4bf',
     packetNormal: '#22d3ee',
     packetAttack: '#f43f5e',
+    packetExposed: '#facc15',
     packetBlocked: '#4ade80'
   },
 
   getCurrentTheme() {
+    if (typeof document === 'undefined') return 'light';
     return document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light';
   },
 
@@ -111,69 +169,59 @@ const MathUtils = {
   }
 };
 
-// Node class for network visualization
+// Simulated IPv4 and MAC addresses
+const AddressUtils = {
+  // Host number n (1-based) maps to 10.0.x.y and 02:00:00:00:xx:yy (a locally administered MAC)
+  ipFromIndex(n) {
+    return `10.0.${Math.floor(n / 256) % 256}.${n % 256}`;
+  },
+
+  macFromIndex(n) {
+    const hex = value => value.toString(16).padStart(2, '0');
+    return `02:00:00:00:${hex(Math.floor(n / 256) % 256)}:${hex(n % 256)}`;
+  },
+
+  isIp(value) {
+    if (typeof value !== 'string') return false;
+    const parts = value.split('.');
+    return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+  },
+
+  isMac(value) {
+    return typeof value === 'string' && /^[0-9a-f]{2}(:[0-9a-f]{2}){5}$/i.test(value);
+  }
+};
+
+// Node class for the network model (drawn by SceneRenderer)
 class Node {
   constructor(id, type, x, y, radius = 20) {
     this.id = id;
-    this.type = type; // 'server', 'client', 'attacker', 'firewall'
+    this.type = type; // 'server', 'client', 'attacker', 'firewall', 'switch', 'loadbalancer'
     this.x = x;
     this.y = y;
     this.radius = radius;
+    this.ip = null;
+    this.mac = null;
     this.pulsePhase = Math.random() * Math.PI * 2;
     this.connections = [];
-  }
-
-  draw(ctx, time) {
-    const color = Colors.get(this.type);
-    
-    // Pulsing effect for attackers
-    if (this.type === 'attacker') {
-      const pulse = Math.sin(time * 0.005 + this.pulsePhase) * 0.3 + 1;
-      const glowSize = this.radius * pulse;
-      
-      // Glow
-      const gradient = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, glowSize);
-      gradient.addColorStop(0, Colors.withAlpha(color, 0.4));
-      gradient.addColorStop(1, Colors.withAlpha(color, 0));
-      ctx.fillStyle = gradient;
-      ctx.fillRect(this.x - glowSize, this.y - glowSize, glowSize * 2, glowSize * 2);
-    }
-    
-    // Node circle
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-    
-    // Border
-    ctx.strokeStyle = Colors.withAlpha(color, 0.8);
-    ctx.lineWidth = 2;
-    ctx.stroke();
-    
-    // Type indicator
-    ctx.fillStyle = '#ffffff';
-    ctx.font = `${this.radius}px Arial`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    
-    const icons = {
-      server: '🖥',
-      client: '💻',
-      attacker: '☠',
-      firewall: '🛡'
-    };
-    
-    ctx.fillText(icons[this.type] || '?', this.x, this.y);
+    this.infection = null; // 'susceptible', 'infected' or 'patched' in worm scenarios
+    this.replicaState = null; // 'active', 'warming' or 'off' for servers behind a load balancer
   }
 }
 
-// Packet class for network traffic visualization
+// Packet class for network traffic (drawn by SceneRenderer)
 class Packet {
-  constructor(id, source, target, type, speed = 2) {
+  // `target` is the next hop; `destination` is where the packet is ultimately headed
+  constructor(id, source, target, type, speed = 2, destination = target) {
     this.id = id;
     this.source = source;
     this.target = target;
-    this.type = type; // 'normal', 'attack', 'blocked'
+    this.origin = source;
+    this.destination = destination;
+    this.type = type; // 'normal', 'attack', 'exposed', 'blocked'
+    this.status = 'in flight'; // then 'queued', 'delivered', 'dropped' or 'blocked'
+    this.headers = null; // { ethernet, ip, transport, application }, set by the simulation
+    this.balancer = null; // LoadBalancer that handed the packet to its destination, until it is served
     this.speed = speed;
     this.progress = 0;
     this.x = source.x;
@@ -182,13 +230,16 @@ class Packet {
     this.trail = [];
   }
 
+  // Advances along the current link; returns false once the packet reaches its next hop
   update() {
     if (!this.active) return false;
     
     this.progress += this.speed * 0.01;
     
     if (this.progress >= 1) {
-      this.active = false;
+      this.progress = 1;
+      this.x = this.target.x;
+      this.y = this.target.y;
       return false;
     }
     
@@ -208,44 +259,36 @@ class Packet {
     return true;
   }
 
-  draw(ctx) {
-    if (!this.active) return;
-    
-    const colorMap = {
-      normal: 'packetNormal',
-      attack: 'packetAttack',
-      blocked: 'packetBlocked'
-    };
-    
-    const color = Colors.get(colorMap[this.type]);
-    
-    // Draw trail
-    this.trail.forEach((point, i) => {
-      const alpha = (i / this.trail.length) * 0.5;
-      ctx.beginPath();
-      ctx.arc(point.x, point.y, 2, 0, Math.PI * 2);
-      ctx.fillStyle = Colors.withAlpha(color, alpha);
-      ctx.fill();
+  arrived() {
+    return this.target === this.destination;
+  }
+
+  // Continue from the current hop towards `nextNode`: a new Ethernet frame and one less TTL
+  forward(nextNode) {
+    this.source = this.target;
+    this.target = nextNode;
+    this.progress = 0;
+    this.rewriteHeaders({
+      ethernet: { source: this.source.mac, destination: nextNode.mac },
+      ip: { ttl: this.headers.ip.ttl - 1 }
     });
-    
-    // Draw packet
-    const gradient = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, 8);
-    gradient.addColorStop(0, color);
-    gradient.addColorStop(1, Colors.withAlpha(color, 0.2));
-    
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, 6, 0, Math.PI * 2);
-    ctx.fillStyle = gradient;
-    ctx.fill();
-    
-    // Glow
-    ctx.shadowBlur = 10;
-    ctx.shadowColor = color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, 4, 0, Math.PI * 2);
-    ctx.fillStyle = color;
-    ctx.fill();
-    ctx.shadowBlur = 0;
+  }
+
+  // Continue from the current hop towards `nextNode` through a layer-2 switch, which leaves the frame unchanged
+  bridge(nextNode) {
+    this.source = this.target;
+    this.target = nextNode;
+    this.progress = 0;
+  }
+
+  // Merge `changes` ({ layer: { field: value } }) into the headers. Headers are replaced, never
+  // mutated, so recorded frames can keep references to them.
+  rewriteHeaders(changes) {
+    const headers = { ...this.headers };
+    Object.keys(changes).forEach(layer => {
+      headers[layer] = { ...headers[layer], ...changes[layer] };
+    });
+    this.headers = headers;
   }
 }
 
@@ -274,10 +317,25 @@ class PerformanceMonitor {
   }
 }
 
-// Export to global scope
-window.SeededRandom = SeededRandom;
-window.Colors = Colors;
-window.MathUtils = MathUtils;
-window.Node = Node;
-window.Packet = Packet;
-window.PerformanceMonitor = PerformanceMonitor;
\ No newline at end of file
+// Export to global scope (browser) or as a CommonJS module (Node)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SeededRandom,
+    EventScheduler,
+    Colors,
+    MathUtils,
+    AddressUtils,
+    Node,
+    Packet,
+    PerformanceMonitor
+  };
+} else {
+  window.SeededRandom = SeededRandom;
+  window.EventScheduler = EventScheduler;
+  window.Colors = Colors;
+  window.MathUtils = MathUtils;
+  window.AddressUtils = AddressUtils;
+  window.Node = Node;
+  window.Packet = Packet;
+  window.PerformanceMonitor = PerformanceMonitor;
+}